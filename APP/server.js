@@ -3,21 +3,179 @@ const fs = require('fs');
 const crypto = require('crypto');
 const express = require('express');
 const mysql = require('mysql2/promise');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
 
 const PORT = process.env.PORT || 3000;
 const publicDir = path.join(__dirname, 'public');
-const supportedFormats = new Set([
+const defaultActivityFormats = [
+  { code: 'presentation', label: 'Présentation', color: '#7c3aed', icon: 'presentation', isEvaluation: false },
+  { code: 'exercice', label: 'Exercice', color: '#22d3ee', icon: 'exercice', isEvaluation: false },
+  { code: 'travail_de_groupe', label: 'Travail de groupe', color: '#34d399', icon: 'travail_de_groupe', isEvaluation: false },
+  { code: 'jeu', label: 'Jeu', color: '#f59e0b', icon: 'jeu', isEvaluation: false },
+  {
+    code: 'recherche_information',
+    label: "Recherche d'information",
+    color: '#60a5fa',
+    icon: 'recherche_information',
+    isEvaluation: false
+  },
+  { code: 'synthese', label: 'Synthèse', color: '#f472b6', icon: 'synthese', isEvaluation: false },
+  { code: 'evaluation', label: 'Évaluation', color: '#ef4444', icon: 'evaluation', isEvaluation: true }
+];
+const activityFormatIcons = [
   'presentation',
   'exercice',
   'travail_de_groupe',
   'jeu',
   'recherche_information',
   'synthese',
-  'evaluation'
-]);
+  'evaluation',
+  'visite',
+  'laboratoire',
+  'oral'
+];
 const slotToPeriod = ['matin', 'apres_midi'];
+const supportedHalfDayStatuses = new Set(['normal', 'holiday', 'cancelled', 'remote']);
+const roomFreeHalfDayStatuses = ['holiday', 'cancelled', 'remote'];
+const teacherFreeHalfDayStatuses = ['holiday', 'cancelled'];
+const periodLabels = {
+  matin: 'Matin',
+  apres_midi: 'Après-midi'
+};
+const halfDayStatusLabels = {
+  normal: 'Séance normale',
+  holiday: 'Congé',
+  cancelled: 'Séance annulée',
+  remote: 'Séance à distance'
+};
+const courseLayoutLimits = {
+  minWeeks: 2,
+  maxWeeks: 12,
+  defaultWeeks: 5,
+  minSlotsPerWeek: 1,
+  maxSlotsPerWeek: 6,
+  defaultSlotsPerWeek: 3
+};
+const activityPlanColumns = [
+  { header: 'Semaine', key: 'week', width: 10 },
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Période', key: 'period', width: 12 },
+  { header: 'Position', key: 'position', width: 10 },
+  { header: 'Titre', key: 'title', width: 40 },
+  { header: 'Description', key: 'description', width: 50 },
+  { header: "Type d'activité", key: 'format', width: 24 },
+  { header: 'Temps prévu (min)', key: 'planned', width: 18 },
+  { header: 'Début prévu', key: 'plannedStart', width: 12 },
+  { header: 'Fin prévue', key: 'plannedEnd', width: 12 },
+  { header: 'Ressources', key: 'resources', width: 30 },
+  { header: 'Équipement réservé', key: 'equipment', width: 30 },
+  { header: 'Début réel', key: 'actualStart', width: 12 },
+  { header: 'Fin réelle', key: 'actualEnd', width: 12 },
+  { header: 'Écart (min)', key: 'difference', width: 12 }
+];
+const halfDayTotalColumns = [
+  { header: 'Semaine', key: 'week', width: 10 },
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Période', key: 'period', width: 12 },
+  { header: 'Activités', key: 'activityCount', width: 10 },
+  { header: 'Temps prévu (min)', key: 'planned', width: 18 },
+  { header: 'Temps réel (min)', key: 'actual', width: 18 },
+  { header: 'Écart (min)', key: 'difference', width: 12 }
+];
+const canvasPdfColumns = [
+  { header: 'Temps prévu', key: 'planned', ratio: 0.12 },
+  { header: 'Temps réel', key: 'real', ratio: 0.16 },
+  { header: "Type d'activité", key: 'type', ratio: 0.18 },
+  { header: 'Titre', key: 'title', ratio: 0.32 },
+  { header: 'Ressources', key: 'resources', ratio: 0.22 }
+];
+const longDateFormatter = new Intl.DateTimeFormat('fr-FR', {
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: 'UTC'
+});
+const dateRangeFormatter = new Intl.DateTimeFormat('fr-FR', {
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  timeZone: 'UTC'
+});
+const courseDocumentSchemaVersion = 1;
 const authSecret = process.env.AUTH_SECRET || 'dev-secret-change-me';
 const authTtlMs = 1000 * 60 * 60 * 24 * 7;
+const courseRoles = ['viewer', 'editor', 'owner'];
+const courseRoleErrors = {
+  editor: 'Vous disposez d’un accès en lecture seule à ce cours.',
+  owner: 'Seuls les propriétaires du cours peuvent effectuer cette action.',
+  competencies:
+    'Seuls les administrateurs et les propriétaires de tous les cours de ce module peuvent modifier son catalogue de compétences.'
+};
+const minPasswordLength = 8;
+const trashRetentionDays = Math.max(Number(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+const trashPurgeIntervalMs = 1000 * 60 * 60 * 6;
+const closureLimits = { maxDays: 366, maxPerImport: 200 };
+const defaultTimingOverrunThreshold = 20;
+const competencyKindLabels = {
+  competence: 'Compétence',
+  objectif: 'Objectif'
+};
+const coverageLevels = ['taught', 'practised', 'evaluated'];
+const coverageLevelLabels = {
+  taught: 'Enseigné',
+  practised: 'Exercé',
+  evaluated: 'Évalué'
+};
+const taughtActivityFormats = new Set(['presentation', 'synthese']);
+const passwordResetTtlMs = 1000 * 60 * 60;
+const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file'),
+  from: process.env.MAIL_FROM || 'Coursio <no-reply@coursio.local>',
+  baseUrl: (process.env.APP_BASE_URL || '').trim().replace(/\/+$/, ''),
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  }
+};
+
+function createMailer(config) {
+  if (config.transport === 'smtp') {
+    const transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail({ from: config.from, ...message })
+    };
+  }
+
+  if (config.transport === 'file') {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      async send(message) {
+        const info = await transporter.sendMail({ from: config.from, ...message });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.promises.mkdir(config.outboxDir, { recursive: true });
+        await fs.promises.writeFile(path.join(config.outboxDir, fileName), info.message);
+      }
+    };
+  }
+
+  throw new Error(`Transport de messagerie inconnu : ${config.transport}`);
+}
+
+const mailer = createMailer(mailConfig);
 
 function loadDbConfig() {
   const configPath = process.env.DB_CONFIG_PATH || path.join(__dirname, 'db.config.json');
@@ -128,6 +286,7 @@ const effectiveDbConfig = {
 };
 
 let pool;
+let activityFormats = new Map(defaultActivityFormats.map((format) => [format.code, format]));
 
 function createPool() {
   return mysql.createPool({
@@ -140,7 +299,8 @@ function createPool() {
 
 async function getTeacherByEmail(email) {
   const [rows] = await pool.query(
-    `SELECT id, email, display_name AS displayName, password_hash AS passwordHash
+    `SELECT id, email, display_name AS displayName, password_hash AS passwordHash, is_admin AS isAdmin, is_active AS isActive,
+            token_version AS tokenVersion
      FROM teachers
      WHERE email = ?
      LIMIT 1`,
@@ -150,16 +310,44 @@ async function getTeacherByEmail(email) {
   return rows[0] || null;
 }
 
-async function createTeacher({ email, displayName, password }) {
+async function getTeacherById(teacherId) {
+  const [rows] = await pool.query(
+    `SELECT id, email, display_name AS displayName, is_admin AS isAdmin, is_active AS isActive, token_version AS tokenVersion
+     FROM teachers
+     WHERE id = ?
+     LIMIT 1`,
+    [teacherId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], isAdmin: Boolean(rows[0].isAdmin), isActive: Boolean(rows[0].isActive) };
+}
+
+async function createTeacher({ email, displayName, password, isAdmin = false }) {
   const passwordHash = hashPassword(password);
 
   const [result] = await pool.query(
-    `INSERT INTO teachers (email, display_name, password_hash)
-     VALUES (?, ?, ?)`,
-    [email, displayName, passwordHash]
+    `INSERT INTO teachers (email, display_name, password_hash, is_admin)
+     VALUES (?, ?, ?, ?)`,
+    [email, displayName, passwordHash, isAdmin ? 1 : 0]
   );
 
-  return { id: result.insertId, email, displayName };
+  return { id: result.insertId, email, displayName, isAdmin };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isValidEmail(value) {
+  return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+}
+
+function isValidPassword(value) {
+  return typeof value === 'string' && value.length >= minPasswordLength;
 }
 
 async function ensureDatabaseExists() {
@@ -175,7 +363,7 @@ async function ensureDatabaseExists() {
 }
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static(publicDir));
 
 const defaultCourse = {
@@ -189,29 +377,149 @@ const defaultCourse = {
   startPeriod: process.env.DEFAULT_START_PERIOD || 'matin'
 };
 
+const fallbackPeriodLimits = {
+  matin: { start: '08:00', end: '11:45' },
+  apres_midi: { start: '13:00', end: '16:45' }
+};
+const defaultPeriodLimits =
+  normalizePeriodLimits({
+    matin: {
+      start: process.env.MORNING_START || fallbackPeriodLimits.matin.start,
+      end: process.env.MORNING_END || fallbackPeriodLimits.matin.end
+    },
+    apres_midi: {
+      start: process.env.AFTERNOON_START || fallbackPeriodLimits.apres_midi.start,
+      end: process.env.AFTERNOON_END || fallbackPeriodLimits.apres_midi.end
+    }
+  }) || fallbackPeriodLimits;
+const maxPeriodBreaks = 6;
+const equipmentLimits = { maxQuantity: 999, maxItemsPerActivity: 20 };
+const searchLimits = { maxQueryLength: 200, maxTerms: 10, minTermLength: 3, maxResults: 50, excerptLength: 160 };
+const fullTextStopwords = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'who', 'will', 'with', 'und', 'www'
+]);
+const defaultAttachmentMimeTypes = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation'
+];
+const attachmentConfig = {
+  dir: process.env.ATTACHMENTS_DIR || path.join(__dirname, 'attachments'),
+  maxBytes: Math.max(Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024, 1),
+  maxFilesPerActivity: 20,
+  mimeTypes: new Set(
+    process.env.ATTACHMENT_MIME_TYPES
+      ? process.env.ATTACHMENT_MIME_TYPES.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean)
+      : defaultAttachmentMimeTypes
+  )
+};
+
 function getTokenFromRequest(req) {
   const cookies = parseCookies(req.headers.cookie || '');
   return cookies.auth_token || null;
 }
 
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   const token = getTokenFromRequest(req);
-  const teacher = verifyAuthToken(token);
+  const payload = verifyAuthToken(token);
 
-  if (!teacher) {
+  if (!payload) {
     return res.status(401).json({ error: 'Authentification requise.' });
   }
 
-  req.user = teacher;
+  try {
+    const teacher = await getTeacherById(payload.id);
+    if (!teacher || !teacher.isActive) {
+      res.clearCookie('auth_token');
+      return res.status(401).json({ error: 'Ce compte est désactivé ou introuvable.' });
+    }
+
+    if (payload.version !== teacher.tokenVersion) {
+      res.clearCookie('auth_token');
+      return res.status(401).json({ error: 'Votre mot de passe a changé : reconnectez-vous.' });
+    }
+
+    req.user = { id: teacher.id, email: teacher.email, name: teacher.displayName, isAdmin: teacher.isAdmin };
+    return next();
+  } catch (error) {
+    console.error("Erreur lors de la vérification de l'authentification :", error.message);
+    return res.status(500).json({ error: "Impossible de vérifier l'authentification pour le moment." });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ error: 'Cette action est réservée aux administrateurs.' });
+  }
+
   return next();
 }
 
+async function requireAuthOrCalendarToken(req, res, next) {
+  const calendarToken = typeof req.query.token === 'string' ? req.query.token.trim() : '';
+  if (!calendarToken) {
+    return requireAuth(req, res, next);
+  }
+
+  try {
+    const [teachers] = await pool.query(
+      'SELECT id, email, display_name AS name FROM teachers WHERE calendar_token_hash = ? AND is_active = 1 LIMIT 1',
+      [hashToken(calendarToken)]
+    );
+
+    if (teachers.length === 0) {
+      return res.status(401).json({ error: "Lien d'abonnement invalide ou révoqué." });
+    }
+
+    req.user = teachers[0];
+    return next();
+  } catch (error) {
+    console.error("Erreur lors de la vérification du lien d'abonnement :", error.message);
+    return res.status(500).json({ error: "Impossible de vérifier le lien d'abonnement." });
+  }
+}
+
 function isValidDateString(value) {
   if (typeof value !== 'string') return false;
   const date = new Date(value);
   return !Number.isNaN(date.getTime()) && value === date.toISOString().slice(0, 10);
 }
 
+function isValidWeekCount(value) {
+  return Number.isInteger(value) && value >= courseLayoutLimits.minWeeks && value <= courseLayoutLimits.maxWeeks;
+}
+
+function isValidSlotsPerWeek(value) {
+  return (
+    Number.isInteger(value) &&
+    value >= courseLayoutLimits.minSlotsPerWeek &&
+    value <= courseLayoutLimits.maxSlotsPerWeek
+  );
+}
+
+function isValidWeekNumber(course, weekNumber) {
+  return Number.isInteger(weekNumber) && weekNumber >= 1 && weekNumber <= course.weekCount;
+}
+
+function isValidSlotIndex(course, slotIndex) {
+  return Number.isInteger(slotIndex) && slotIndex >= 0 && slotIndex < course.slotsPerWeek;
+}
+
 function computeHalfDaySession(startDate, startSlotIndex, weekNumber, slotIndex) {
   const baseDate = new Date(startDate);
   baseDate.setHours(0, 0, 0, 0);
@@ -230,626 +538,6376 @@ function computeHalfDaySession(startDate, startSlotIndex, weekNumber, slotIndex)
   };
 }
 
-function buildExpectedHalfDays(startDate, startSlotIndex, startingWeekNumber = 1) {
-  const halfDays = [];
+function toIsoDateString(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
 
-  for (let week = startingWeekNumber; week <= 5; week += 1) {
-    for (let slot = 0; slot < 3; slot += 1) {
-      const { sessionDate, period } = computeHalfDaySession(startDate, startSlotIndex, week - startingWeekNumber + 1, slot);
-      halfDays.push({
-        weekNumber: week,
-        slotIndex: slot,
-        sessionDate,
-        period
-      });
+  return String(value).slice(0, 10);
+}
+
+function getIsoWeekday(date) {
+  return date.getUTCDay() === 0 ? 7 : date.getUTCDay();
+}
+
+function normalizeWeeklyPattern(rawPattern) {
+  if (!Array.isArray(rawPattern) || rawPattern.length === 0 || rawPattern.length > courseLayoutLimits.maxSlotsPerWeek) {
+    return null;
+  }
+
+  const entries = [];
+  const seenKeys = new Set();
+
+  for (const entry of rawPattern) {
+    const weekday = Number(entry?.weekday);
+    const period = entry?.period;
+
+    if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7 || !slotToPeriod.includes(period)) {
+      return null;
+    }
+
+    const key = `${weekday}-${period}`;
+    if (seenKeys.has(key)) {
+      return null;
     }
+
+    seenKeys.add(key);
+    entries.push({ weekday, period });
   }
 
-  return halfDays;
+  return entries.sort(
+    (a, b) => a.weekday - b.weekday || slotToPeriod.indexOf(a.period) - slotToPeriod.indexOf(b.period)
+  );
 }
 
-async function getOrderedActivityIds(connection, halfDayId) {
-  const [activities] = await connection.query(
-    'SELECT id FROM activities WHERE half_day_id = ? ORDER BY position IS NULL, position, id',
-    [halfDayId]
-  );
+function parseWeeklyPattern(storedValue) {
+  if (!storedValue) return null;
 
-  return activities.map((activity) => activity.id);
+  try {
+    return normalizeWeeklyPattern(JSON.parse(storedValue));
+  } catch (error) {
+    return null;
+  }
 }
 
-async function resequenceHalfDayPositions(connection, halfDayId) {
-  const activityIds = await getOrderedActivityIds(connection, halfDayId);
+function timeToMinutes(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(typeof value === 'string' ? value : '');
+  if (!match) return null;
 
-  await Promise.all(
-    activityIds.map((activityId, index) =>
-      connection.query('UPDATE activities SET position = ? WHERE id = ?', [index + 1, activityId])
-    )
-  );
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
 }
 
-async function listCourseHalfDays(courseId, teacherId) {
-  const [halfDays] = await pool.query(
-    `SELECT h.id, h.week_number AS weekNumber, h.slot_index AS slotIndex, h.session_date AS sessionDate, h.period
-     FROM half_days h
-     INNER JOIN courses c ON h.course_id = c.id
-     WHERE h.course_id = ? AND c.teacher_id = ?
-     ORDER BY h.week_number, h.slot_index`,
-    [courseId, teacherId]
-  );
+function normalizePeriodLimits(rawLimits) {
+  if (!rawLimits || typeof rawLimits !== 'object') {
+    return null;
+  }
 
-  return halfDays;
+  const limits = {};
+
+  for (const period of slotToPeriod) {
+    const start = rawLimits[period]?.start;
+    const end = rawLimits[period]?.end;
+    const startMinutes = timeToMinutes(start);
+    const endMinutes = timeToMinutes(end);
+
+    if (startMinutes === null || endMinutes === null || endMinutes <= startMinutes) {
+      return null;
+    }
+
+    limits[period] = { start, end };
+  }
+
+  return limits;
 }
 
-async function getCourse(courseId, teacherId) {
-  const conditions = ['id = ?'];
-  const params = [courseId];
+function parsePeriodLimits(storedValue) {
+  if (!storedValue) return null;
 
-  if (teacherId) {
-    conditions.push('teacher_id = ?');
-    params.push(teacherId);
+  try {
+    return normalizePeriodLimits(JSON.parse(storedValue));
+  } catch (error) {
+    return null;
   }
+}
 
-  const [rows] = await pool.query(
-    `SELECT id, teacher_id AS teacherId, teacher, class AS className, room, module_number AS moduleNumber, module_name AS moduleName,
-            general_objective AS generalObjective, particularites, start_date AS startDate, start_period AS startPeriod
-     FROM courses
-     WHERE ${conditions.join(' AND ')}
-     LIMIT 1`,
-    params
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function normalizePeriodBreaks(rawBreaks, periodLimits) {
+  if (!Array.isArray(rawBreaks) || rawBreaks.length > maxPeriodBreaks) {
+    return null;
+  }
+
+  const breaks = [];
+
+  for (const rawBreak of rawBreaks) {
+    const period = rawBreak?.period;
+    const startMinutes = timeToMinutes(rawBreak?.start);
+    const endMinutes = timeToMinutes(rawBreak?.end);
+    const range = periodLimits?.[period];
+
+    if (!slotToPeriod.includes(period) || startMinutes === null || endMinutes === null || endMinutes <= startMinutes) {
+      return null;
+    }
+
+    if (range && (startMinutes < timeToMinutes(range.start) || endMinutes > timeToMinutes(range.end))) {
+      return null;
+    }
+
+    breaks.push({ period, start: rawBreak.start, end: rawBreak.end });
+  }
+
+  breaks.sort(
+    (a, b) => slotToPeriod.indexOf(a.period) - slotToPeriod.indexOf(b.period) || timeToMinutes(a.start) - timeToMinutes(b.start)
   );
 
-  return rows[0] || null;
+  const overlaps = breaks.some(
+    (periodBreak, index) =>
+      index > 0 &&
+      breaks[index - 1].period === periodBreak.period &&
+      timeToMinutes(periodBreak.start) < timeToMinutes(breaks[index - 1].end)
+  );
+
+  return overlaps ? null : breaks;
 }
 
-async function ensureHalfDaysForCourse(courseId, teacherId) {
-  const course = await getCourse(courseId, teacherId);
-  if (!course || !course.startDate || !course.startPeriod) {
-    return [];
-  }
+function parsePeriodBreaks(storedValue) {
+  if (!storedValue) return [];
 
-  const startSlotIndex = slotToPeriod.indexOf(course.startPeriod);
-  if (startSlotIndex === -1) {
+  try {
+    return normalizePeriodBreaks(JSON.parse(storedValue)) || [];
+  } catch (error) {
     return [];
   }
+}
 
-  const existingHalfDays = await listCourseHalfDays(courseId, teacherId);
+function getCoursePeriodSettings(row) {
+  const customPeriodLimits = parsePeriodLimits(row.periodLimits);
 
-  const hasAllHalfDays = existingHalfDays.length >= 15;
-  if (hasAllHalfDays) {
-    return existingHalfDays;
-  }
+  return {
+    periodLimits: customPeriodLimits || defaultPeriodLimits,
+    customPeriodLimits: Boolean(customPeriodLimits),
+    breaks: parsePeriodBreaks(row.periodBreaks),
+    strictCapacity: Boolean(row.strictCapacity)
+  };
+}
 
-  const expectedHalfDays = buildExpectedHalfDays(course.startDate, startSlotIndex);
-  const existingKeys = new Set(existingHalfDays.map((halfDay) => `${halfDay.weekNumber}-${halfDay.slotIndex}`));
+function getPeriodCapacityMinutes(periodLimits, period, breaks = []) {
+  const range = periodLimits[period];
+  if (!range) return 0;
 
-  const connection = await pool.getConnection();
-  try {
-    await connection.beginTransaction();
+  const breakMinutes = breaks
+    .filter((periodBreak) => periodBreak.period === period)
+    .reduce((total, periodBreak) => total + timeToMinutes(periodBreak.end) - timeToMinutes(periodBreak.start), 0);
 
-    for (const halfDay of expectedHalfDays) {
-      const key = `${halfDay.weekNumber}-${halfDay.slotIndex}`;
-      if (existingKeys.has(key)) {
-        continue;
-      }
+  return timeToMinutes(range.end) - timeToMinutes(range.start) - breakMinutes;
+}
 
-      await connection.query(
-        `INSERT INTO half_days (course_id, week_number, slot_index, session_date, period)
-         VALUES (?, ?, ?, ?, ?)`,
-        [courseId, halfDay.weekNumber, halfDay.slotIndex, halfDay.sessionDate, halfDay.period]
-      );
+function assignPlannedTimes(activities, periodSettings) {
+  let currentHalfDay = null;
+  let cursor = null;
+  let pendingBreaks = [];
+
+  return activities.map((activity) => {
+    const halfDayKey = `${activity.week}-${activity.slot}`;
+    if (halfDayKey !== currentHalfDay) {
+      const range = periodSettings.periodLimits[activity.period];
+      currentHalfDay = halfDayKey;
+      cursor = range ? timeToMinutes(range.start) : null;
+      pendingBreaks = periodSettings.breaks.filter((periodBreak) => periodBreak.period === activity.period);
     }
 
-    await connection.commit();
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
+    if (cursor === null) {
+      return { ...activity, plannedStart: null, plannedEnd: null };
+    }
+
+    while (pendingBreaks.length > 0 && timeToMinutes(pendingBreaks[0].start) <= cursor) {
+      const periodBreak = pendingBreaks.shift();
+      cursor += timeToMinutes(periodBreak.end) - timeToMinutes(periodBreak.start);
+    }
 
-  return listCourseHalfDays(courseId, teacherId);
+    const plannedStart = cursor;
+    cursor += Number(activity.duration) || 0;
+    return { ...activity, plannedStart: minutesToTime(plannedStart), plannedEnd: minutesToTime(cursor) };
+  });
 }
 
-async function getHalfDayForCourse(courseId, weekNumber, slotIndex, teacherId) {
-  const halfDays = await ensureHalfDaysForCourse(courseId, teacherId);
-  const matchingHalfDay = halfDays.find(
-    (halfDay) => halfDay.weekNumber === weekNumber && halfDay.slotIndex === slotIndex
-  );
+function addDaysToIsoDate(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
 
-  if (!matchingHalfDay) {
-    return null;
+function isClosedDate(isoDate, closures) {
+  return closures.some((closure) => closure.startDate <= isoDate && isoDate <= closure.endDate);
+}
+
+function isWeekendDate(isoDate) {
+  return getIsoWeekday(new Date(`${isoDate}T00:00:00Z`)) >= 6;
+}
+
+function getNextHalfDaySession(session) {
+  if (session.period === slotToPeriod[0]) {
+    return { sessionDate: session.sessionDate, period: slotToPeriod[1] };
   }
 
-  const [rows] = await pool.query(
-    `SELECT h.id, h.session_date AS sessionDate, h.period
-     FROM half_days h
-     INNER JOIN courses c ON h.course_id = c.id
-     WHERE h.course_id = ? AND h.week_number = ? AND h.slot_index = ? AND c.teacher_id = ?
-     LIMIT 1`,
-    [courseId, weekNumber, slotIndex, teacherId]
-  );
+  return { sessionDate: addDaysToIsoDate(session.sessionDate, 1), period: slotToPeriod[0] };
+}
 
-  if (rows.length === 0) {
-    return null;
+function compareHalfDaySessions(a, b) {
+  if (a.sessionDate !== b.sessionDate) {
+    return a.sessionDate < b.sessionDate ? -1 : 1;
   }
 
-  return { ...matchingHalfDay, id: rows[0].id };
+  return slotToPeriod.indexOf(a.period) - slotToPeriod.indexOf(b.period);
 }
 
-async function ensureDefaultTeacher() {
-  const defaultEmail = process.env.DEFAULT_TEACHER_EMAIL || 'demo@coursio.local';
-  const defaultPassword = process.env.DEFAULT_TEACHER_PASSWORD || 'demo1234';
+function shiftHalfDaysPastClosures(halfDays, closures) {
+  let previousSession = null;
 
-  const existing = await getTeacherByEmail(defaultEmail);
-  if (existing) {
-    return existing.id;
-  }
+  return halfDays.map((halfDay) => {
+    let session = { sessionDate: halfDay.sessionDate, period: halfDay.period };
+    let isShifted = false;
 
-  const teacher = await createTeacher({
-    email: defaultEmail,
-    displayName: defaultCourse.teacher,
-    password: defaultPassword
-  });
+    if (previousSession && compareHalfDaySessions(session, previousSession) <= 0) {
+      session = getNextHalfDaySession(previousSession);
+      isShifted = true;
+    }
+
+    while (isClosedDate(session.sessionDate, closures) || (isShifted && isWeekendDate(session.sessionDate))) {
+      session = getNextHalfDaySession(session);
+      isShifted = true;
+    }
 
-  return teacher.id;
+    previousSession = session;
+    return { ...halfDay, ...session };
+  });
 }
 
-async function ensureSchema() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS teachers (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      email VARCHAR(255) NOT NULL UNIQUE,
-      display_name VARCHAR(255) NOT NULL,
-      password_hash VARCHAR(255) NOT NULL,
-      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-  `);
+function listPatternSessions(startDate, startSlotIndex, weeklyPattern, count, closures = []) {
+  const sessions = [];
+  const cursor = new Date(`${toIsoDateString(startDate)}T00:00:00Z`);
+  let isStartDay = true;
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS courses (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      teacher_id INT NULL,
-      teacher VARCHAR(255) NOT NULL,
-      class VARCHAR(100) NOT NULL,
-      room VARCHAR(100) NOT NULL,
-      module_number VARCHAR(50) NOT NULL,
-      module_name VARCHAR(255) NOT NULL,
-      general_objective TEXT NULL,
-      particularites TEXT NULL,
-      start_date DATE NOT NULL,
-      start_period ENUM('matin', 'apres_midi') NOT NULL,
-      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      CONSTRAINT fk_courses_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-  `);
+  while (sessions.length < count) {
+    const weekday = getIsoWeekday(cursor);
+    const isoDate = cursor.toISOString().slice(0, 10);
 
-  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS general_objective TEXT NULL AFTER module_name;');
-  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS particularites TEXT NULL AFTER general_objective;');
+    for (const entry of weeklyPattern) {
+      if (sessions.length === count) break;
+      if (entry.weekday !== weekday || isClosedDate(isoDate, closures)) continue;
+      if (isStartDay && slotToPeriod.indexOf(entry.period) < startSlotIndex) continue;
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS half_days (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      course_id INT NOT NULL,
-      week_number TINYINT UNSIGNED NOT NULL,
-      slot_index TINYINT UNSIGNED NOT NULL,
-      session_date DATE NOT NULL,
-      period ENUM('matin', 'apres_midi') NOT NULL,
-      notes TEXT NULL,
-      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      CONSTRAINT fk_half_days_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
-      CONSTRAINT uq_half_days UNIQUE (course_id, week_number, slot_index)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-  `);
+      sessions.push({ sessionDate: isoDate, period: entry.period });
+    }
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS activities (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      half_day_id INT NOT NULL,
-      specific_objective TEXT NOT NULL,
-      description TEXT NOT NULL,
-      duration_minutes SMALLINT UNSIGNED NOT NULL,
-      format ENUM('presentation', 'exercice', 'travail_de_groupe', 'jeu', 'recherche_information', 'synthese', 'evaluation') NOT NULL,
-      materials TEXT NULL,
-      actual_start_time DATETIME NULL,
-      actual_end_time DATETIME NULL,
-      position SMALLINT UNSIGNED NULL,
-      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      CONSTRAINT fk_activities_half_day FOREIGN KEY (half_day_id) REFERENCES half_days(id) ON DELETE CASCADE,
-      INDEX idx_activities_half_day (half_day_id)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-  `);
+    isStartDay = false;
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
 
-  const [teacherIdColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'teacher_id'");
-  if (teacherIdColumn.length === 0) {
-    await pool.query("ALTER TABLE courses ADD COLUMN teacher_id INT NULL AFTER id");
-    await pool.query(
-      'ALTER TABLE courses ADD CONSTRAINT fk_courses_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL'
+  return sessions;
+}
+
+function buildExpectedHalfDays(startDate, startSlotIndex, layout, startingWeekNumber = 1, closures = []) {
+  const halfDays = [];
+
+  if (layout.weeklyPattern) {
+    const weekTotal = layout.weekCount - startingWeekNumber + 1;
+    const sessions = listPatternSessions(
+      startDate,
+      startSlotIndex,
+      layout.weeklyPattern,
+      Math.max(weekTotal, 0) * layout.weeklyPattern.length,
+      closures
     );
+
+    sessions.forEach((session, index) => {
+      halfDays.push({
+        weekNumber: startingWeekNumber + Math.floor(index / layout.weeklyPattern.length),
+        slotIndex: index % layout.weeklyPattern.length,
+        sessionDate: session.sessionDate,
+        period: session.period
+      });
+    });
+
+    return halfDays;
   }
 
-  const [startDateColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'start_date'");
-  if (startDateColumn.length === 0) {
-    await pool.query("ALTER TABLE courses ADD COLUMN start_date DATE NOT NULL DEFAULT (CURRENT_DATE()) AFTER module_name");
+  for (let week = startingWeekNumber; week <= layout.weekCount; week += 1) {
+    for (let slot = 0; slot < layout.slotsPerWeek; slot += 1) {
+      const { sessionDate, period } = computeHalfDaySession(startDate, startSlotIndex, week - startingWeekNumber + 1, slot);
+      halfDays.push({
+        weekNumber: week,
+        slotIndex: slot,
+        sessionDate,
+        period
+      });
+    }
   }
 
-  const [startPeriodColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'start_period'");
-  if (startPeriodColumn.length === 0) {
-    await pool.query(
-      "ALTER TABLE courses ADD COLUMN start_period ENUM('matin', 'apres_midi') NOT NULL DEFAULT 'matin' AFTER start_date"
-    );
+  return shiftHalfDaysPastClosures(halfDays, closures);
+}
+
+function parseCalendarDate(value) {
+  const trimmed = String(value || '').trim();
+
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trimmed);
+  const compactMatch = /^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/.exec(trimmed);
+  const europeanMatch = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$/.exec(trimmed);
+
+  let isoDate = null;
+  if (isoMatch) {
+    isoDate = `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+  } else if (compactMatch) {
+    isoDate = `${compactMatch[1]}-${compactMatch[2]}-${compactMatch[3]}`;
+  } else if (europeanMatch) {
+    isoDate = `${europeanMatch[3]}-${europeanMatch[2].padStart(2, '0')}-${europeanMatch[1].padStart(2, '0')}`;
   }
 
-  const [slotIndexColumn] = await pool.query("SHOW COLUMNS FROM half_days LIKE 'slot_index'");
-  if (slotIndexColumn.length === 0) {
-    await pool.query(
-      "ALTER TABLE half_days ADD COLUMN slot_index TINYINT UNSIGNED NOT NULL DEFAULT 0 AFTER week_number"
-    );
-    await pool.query(
-      "UPDATE half_days SET slot_index = CASE WHEN period = 'matin' THEN 0 ELSE 1 END"
+  return isoDate && isValidDateString(isoDate) ? isoDate : null;
+}
+
+function getClosureLengthError(startDate, endDate) {
+  const lengthInDays = (Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000 + 1;
+  return lengthInDays > closureLimits.maxDays
+    ? `Une période de fermeture ne peut pas dépasser ${closureLimits.maxDays} jours.`
+    : null;
+}
+
+function parseIcsClosures(content) {
+  const closures = [];
+  const errors = [];
+  const rawLines = String(content).split(/\r?\n/);
+  const lines = [];
+
+  rawLines.forEach((rawLine, index) => {
+    if (/^[ \t]/.test(rawLine) && lines.length > 0) {
+      lines[lines.length - 1].text += rawLine.slice(1);
+      return;
+    }
+
+    lines.push({ number: index + 1, text: rawLine });
+  });
+
+  let currentEvent = null;
+
+  lines.forEach(({ number, text }) => {
+    if (text === 'BEGIN:VEVENT') {
+      currentEvent = { line: number, start: null, end: null, endIsExclusive: false, label: '' };
+      return;
+    }
+
+    if (!currentEvent) return;
+
+    if (text === 'END:VEVENT') {
+      if (!currentEvent.start) {
+        errors.push({ line: currentEvent.line, message: 'Événement sans date de début (DTSTART).' });
+      } else {
+        let endDate = currentEvent.end || currentEvent.start;
+        if (currentEvent.end && currentEvent.endIsExclusive && currentEvent.end > currentEvent.start) {
+          endDate = addDaysToIsoDate(currentEvent.end, -1);
+        }
+
+        const lengthError = getClosureLengthError(currentEvent.start, endDate);
+        if (lengthError) {
+          errors.push({ line: currentEvent.line, message: lengthError });
+        } else {
+          closures.push({ startDate: currentEvent.start, endDate, label: currentEvent.label || 'Fermeture' });
+        }
+      }
+
+      currentEvent = null;
+      return;
+    }
+
+    const separatorIndex = text.indexOf(':');
+    if (separatorIndex === -1) return;
+
+    const [name] = text.slice(0, separatorIndex).split(';');
+    const value = text.slice(separatorIndex + 1).trim();
+
+    if (name === 'DTSTART' || name === 'DTEND') {
+      const date = parseCalendarDate(value);
+      if (!date) {
+        errors.push({ line: number, message: `Date invalide : ${value}` });
+        return;
+      }
+
+      if (name === 'DTSTART') {
+        currentEvent.start = date;
+      } else {
+        currentEvent.end = date;
+        currentEvent.endIsExclusive = !value.includes('T') || /T000000Z?$/.test(value);
+      }
+    }
+
+    if (name === 'SUMMARY') {
+      currentEvent.label = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').slice(0, 255);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { closures, errors };
+}
+
+function parseCsvClosures(content) {
+  const closures = [];
+  const errors = [];
+
+  String(content)
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const [startValue, endValue, ...labelParts] = line.split(/[;,\t]/).map((part) => part.trim());
+      const startDate = parseCalendarDate(startValue);
+
+      if (!startDate) {
+        if (index === 0) return;
+        errors.push({ line: index + 1, message: `Date de début invalide : ${startValue || '(vide)'}` });
+        return;
+      }
+
+      const endDate = endValue ? parseCalendarDate(endValue) : startDate;
+      if (!endDate) {
+        errors.push({ line: index + 1, message: `Date de fin invalide : ${endValue}` });
+        return;
+      }
+
+      if (endDate < startDate) {
+        errors.push({ line: index + 1, message: 'La date de fin précède la date de début.' });
+        return;
+      }
+
+      const lengthError = getClosureLengthError(startDate, endDate);
+      if (lengthError) {
+        errors.push({ line: index + 1, message: lengthError });
+        return;
+      }
+
+      const label = labelParts.join(' ').replace(/^"|"$/g, '').slice(0, 255);
+      closures.push({ startDate, endDate, label: label || 'Fermeture' });
+    });
+
+  return { closures, errors };
+}
+
+function formatClockTime(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function getActualDurationMinutes(activity) {
+  if (!activity.actualStart || !activity.actualEnd) return null;
+
+  const minutes = Math.round((new Date(activity.actualEnd) - new Date(activity.actualStart)) / 60000);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+}
+
+function buildActivityPlanRows(halfDays, activities) {
+  const activityRows = [];
+  const halfDayTotals = halfDays.map((halfDay) => {
+    const halfDayActivities = activities.filter(
+      (activity) => activity.week === halfDay.weekNumber && activity.slot === halfDay.slotIndex
     );
-  }
+    let plannedTotal = 0;
+    let actualTotal = 0;
+    let differenceTotal = 0;
+    let hasActualTime = false;
+
+    halfDayActivities.forEach((activity, index) => {
+      const actualMinutes = getActualDurationMinutes(activity);
+      plannedTotal += activity.duration;
+      if (actualMinutes !== null) {
+        actualTotal += actualMinutes;
+        differenceTotal += actualMinutes - activity.duration;
+        hasActualTime = true;
+      }
 
-  const [courseIdIndexes] = await pool.query("SHOW INDEX FROM half_days WHERE Column_name = 'course_id'");
-  const hasDedicatedCourseIndex = courseIdIndexes.some((index) => index.Key_name !== 'uq_half_days');
+      activityRows.push({
+        week: halfDay.weekNumber,
+        date: toIsoDateString(halfDay.sessionDate),
+        period: periodLabels[halfDay.period] || halfDay.period,
+        position: index + 1,
+        title: activity.name,
+        description: activity.details,
+        format: getFormatLabel(activity.type),
+        planned: activity.duration,
+        plannedStart: activity.plannedStart || '',
+        plannedEnd: activity.plannedEnd || '',
+        resources: (activity.materials || '')
+          .split('\n')
+          .map((item) => item.trim())
+          .filter(Boolean)
+          .join(', '),
+        equipment: (activity.equipment || []).map((booking) => `${booking.quantity} × ${booking.name}`).join(', '),
+        actualStart: formatClockTime(activity.actualStart),
+        actualEnd: formatClockTime(activity.actualEnd),
+        difference: actualMinutes === null ? null : actualMinutes - activity.duration
+      });
+    });
 
-  if (!hasDedicatedCourseIndex) {
-    await pool.query('ALTER TABLE half_days ADD INDEX idx_half_days_course_id (course_id)');
-  }
+    return {
+      week: halfDay.weekNumber,
+      date: toIsoDateString(halfDay.sessionDate),
+      period: periodLabels[halfDay.period] || halfDay.period,
+      activityCount: halfDayActivities.length,
+      planned: plannedTotal,
+      actual: hasActualTime ? actualTotal : null,
+      difference: hasActualTime ? differenceTotal : null
+    };
+  });
 
-  const [halfDayIndexes] = await pool.query("SHOW INDEX FROM half_days WHERE Key_name = 'uq_half_days'");
-  const hasExpectedIndex =
-    halfDayIndexes.length === 3 && new Set(halfDayIndexes.map((index) => index.Column_name)).has('slot_index');
+  return { activityRows, halfDayTotals };
+}
 
-  if (!hasExpectedIndex) {
-    if (halfDayIndexes.length > 0) {
-      await pool.query('ALTER TABLE half_days DROP INDEX uq_half_days');
+function createTimingTotals(fields) {
+  return { ...fields, activityCount: 0, measuredCount: 0, plannedMinutes: 0, actualMinutes: 0, driftMinutes: 0 };
+}
+
+function addTimingMeasure(totals, plannedMinutes, actualMinutes) {
+  totals.activityCount += 1;
+  if (actualMinutes === null) return;
+
+  totals.measuredCount += 1;
+  totals.plannedMinutes += plannedMinutes;
+  totals.actualMinutes += actualMinutes;
+  totals.driftMinutes += actualMinutes - plannedMinutes;
+}
+
+function getDriftPercent(plannedMinutes, driftMinutes) {
+  return plannedMinutes > 0 ? Math.round((driftMinutes / plannedMinutes) * 1000) / 10 : null;
+}
+
+function withDriftPercent(totals) {
+  return { ...totals, driftPercent: getDriftPercent(totals.plannedMinutes, totals.driftMinutes) };
+}
+
+function buildTimingReport(halfDays, activities, overrunThreshold) {
+  const totals = createTimingTotals({});
+  const byFormat = new Map(
+    [...activityFormats.values()].map(({ code, label }) => [code, createTimingTotals({ format: code, formatLabel: label })])
+  );
+  const byWeek = new Map();
+  const byHalfDay = [];
+  const overruns = [];
+
+  halfDays.forEach((halfDay) => {
+    const label = formatHalfDayLabel(halfDay);
+    const halfDayTotals = createTimingTotals({ week: halfDay.weekNumber, slot: halfDay.slotIndex, label });
+    if (!byWeek.has(halfDay.weekNumber)) {
+      byWeek.set(halfDay.weekNumber, createTimingTotals({ week: halfDay.weekNumber }));
     }
 
-    await pool.query('ALTER TABLE half_days ADD UNIQUE INDEX uq_half_days (course_id, week_number, slot_index)');
+    activities
+      .filter((activity) => activity.week === halfDay.weekNumber && activity.slot === halfDay.slotIndex)
+      .forEach((activity) => {
+        const actualMinutes = getActualDurationMinutes(activity);
+        if (!byFormat.has(activity.type)) {
+          byFormat.set(activity.type, createTimingTotals({ format: activity.type, formatLabel: activity.type }));
+        }
+
+        [totals, byFormat.get(activity.type), byWeek.get(halfDay.weekNumber), halfDayTotals].forEach((group) =>
+          addTimingMeasure(group, activity.duration, actualMinutes)
+        );
+
+        const driftPercent =
+          actualMinutes === null ? null : getDriftPercent(activity.duration, actualMinutes - activity.duration);
+        if (driftPercent !== null && driftPercent > overrunThreshold) {
+          overruns.push({
+            id: activity.id,
+            name: activity.name,
+            format: activity.type,
+            formatLabel: getFormatLabel(activity.type),
+            week: halfDay.weekNumber,
+            label,
+            plannedMinutes: activity.duration,
+            actualMinutes,
+            driftMinutes: actualMinutes - activity.duration,
+            driftPercent
+          });
+        }
+      });
+
+    byHalfDay.push(withDriftPercent(halfDayTotals));
+  });
+
+  return {
+    threshold: overrunThreshold,
+    totals: withDriftPercent(totals),
+    byFormat: [...byFormat.values()].filter((group) => group.activityCount > 0).map(withDriftPercent),
+    byWeek: [...byWeek.values()].map(withDriftPercent),
+    byHalfDay,
+    overruns: overruns.sort((a, b) => b.driftPercent - a.driftPercent)
+  };
+}
+
+function getFormatLabel(formatCode) {
+  return activityFormats.get(formatCode)?.label || formatCode;
+}
+
+function slugifyFormatCode(label) {
+  const slug = label
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+
+  return slug || 'format';
+}
+
+function normalizeActivityFormat(rawFormat) {
+  const label = typeof rawFormat?.label === 'string' ? rawFormat.label.trim() : '';
+  const color = typeof rawFormat?.color === 'string' ? rawFormat.color.trim().toLowerCase() : '';
+  const icon = rawFormat?.icon;
+  const isEvaluation = rawFormat?.isEvaluation ?? false;
+
+  if (!label || label.length > 100) {
+    return { error: 'Le libellé de la forme de travail est requis (100 caractères au maximum).' };
   }
 
-  const [actualStartColumn] = await pool.query("SHOW COLUMNS FROM activities LIKE 'actual_start_time'");
-  if (actualStartColumn.length === 0) {
-    await pool.query("ALTER TABLE activities ADD COLUMN actual_start_time DATETIME NULL AFTER materials");
+  if (!/^#[0-9a-f]{6}$/.test(color)) {
+    return { error: 'La couleur doit être au format #RRGGBB.' };
   }
 
-  const [actualEndColumn] = await pool.query("SHOW COLUMNS FROM activities LIKE 'actual_end_time'");
-  if (actualEndColumn.length === 0) {
-    await pool.query("ALTER TABLE activities ADD COLUMN actual_end_time DATETIME NULL AFTER actual_start_time");
+  if (!activityFormatIcons.includes(icon)) {
+    return { error: "L'icône choisie est inconnue." };
+  }
+
+  if (typeof isEvaluation !== 'boolean') {
+    return { error: 'Indiquez si la forme de travail compte comme une évaluation.' };
   }
+
+  return { format: { label, color, icon, isEvaluation } };
 }
 
-async function ensureDefaultCourse(defaultTeacherId) {
-  const [existing] = await pool.query(
-    'SELECT id FROM courses WHERE module_number = ? LIMIT 1',
-    [defaultCourse.moduleNumber]
-  );
+function canEditActivityFormat(format, user) {
+  return user.isAdmin || (!format.isDefault && format.createdBy === user.id);
+}
 
-  if (existing.length > 0) {
-    await ensureHalfDaysForCourse(existing[0].id, defaultTeacherId);
-    return existing[0].id;
+function normalizeCompetencyKind(value) {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+  if (!normalized) return 'competence';
+  return Object.hasOwn(competencyKindLabels, normalized) ? normalized : null;
+}
+
+function normalizeCompetency(rawCompetency) {
+  const code = typeof rawCompetency?.code === 'string' ? rawCompetency.code.trim() : '';
+  const label = typeof rawCompetency?.label === 'string' ? rawCompetency.label.trim() : '';
+  const kind = normalizeCompetencyKind(rawCompetency?.kind);
+
+  if (!code || code.length > 32) {
+    return { error: 'Le code de la compétence est requis (32 caractères au maximum).' };
   }
 
-  const [result] = await pool.query(
-    `INSERT INTO courses (teacher_id, teacher, class, room, module_number, module_name, general_objective, start_date, start_period)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      defaultTeacherId,
-      defaultCourse.teacher,
-      defaultCourse.className,
-      defaultCourse.room,
-      defaultCourse.moduleNumber,
-      defaultCourse.moduleName,
-      defaultCourse.generalObjective,
-      defaultCourse.startDate,
-      defaultCourse.startPeriod
-    ]
-  );
+  if (!label || label.length > 255) {
+    return { error: 'Le libellé de la compétence est requis (255 caractères au maximum).' };
+  }
 
-  await ensureHalfDaysForCourse(result.insertId, defaultTeacherId);
+  if (!kind) {
+    return { error: 'Le type doit être « compétence » ou « objectif ».' };
+  }
 
-  return result.insertId;
+  return { competency: { code, label, kind } };
 }
 
-async function ensureCourseExists(courseId, teacherId) {
-  const [existing] = await pool.query(
-    'SELECT id FROM courses WHERE id = ? AND teacher_id = ? LIMIT 1',
-    [courseId, teacherId]
+function parseCsvCompetencies(content) {
+  const competencies = [];
+  const errors = [];
+  const seenCodes = new Set();
+
+  String(content)
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const [code = '', label = '', kind = ''] = line.split(/[;\t]/).map((part) => part.trim().replace(/^"|"$/g, ''));
+      if (index === 0 && code.toLowerCase() === 'code') return;
+
+      const { competency, error } = normalizeCompetency({ code, label, kind });
+      if (error) {
+        errors.push({ line: index + 1, message: error });
+        return;
+      }
+
+      if (seenCodes.has(competency.code.toLowerCase())) {
+        errors.push({ line: index + 1, message: `Le code ${competency.code} apparaît plusieurs fois.` });
+        return;
+      }
+
+      seenCodes.add(competency.code.toLowerCase());
+      competencies.push(competency);
+    });
+
+  return { competencies, errors };
+}
+
+function normalizeCompetencyIds(rawIds) {
+  if (!Array.isArray(rawIds)) return null;
+
+  const ids = rawIds.map((id) => Number(id));
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+
+  return [...new Set(ids)].sort((a, b) => a - b);
+}
+
+function getCoverageLevel(formatCode) {
+  if (activityFormats.get(formatCode)?.isEvaluation) return 'evaluated';
+  return taughtActivityFormats.has(formatCode) ? 'taught' : 'practised';
+}
+
+function buildCoverageMatrix(competencies, activities) {
+  const rows = new Map(
+    competencies.map((competency) => [
+      competency.id,
+      { ...competency, kindLabel: competencyKindLabels[competency.kind], taught: [], practised: [], evaluated: [] }
+    ])
   );
 
-  return existing.length > 0;
+  activities.forEach((activity) => {
+    const level = getCoverageLevel(activity.type);
+
+    activity.competencyIds.forEach((competencyId) => {
+      rows.get(competencyId)?.[level].push({
+        id: activity.id,
+        name: activity.name,
+        week: activity.week,
+        slot: activity.slot,
+        formatLabel: getFormatLabel(activity.type)
+      });
+    });
+  });
+
+  const matrix = [...rows.values()].map((row) => ({
+    ...row,
+    covered: coverageLevels.some((level) => row[level].length > 0)
+  }));
+
+  return {
+    levels: coverageLevels.map((level) => ({ level, label: coverageLevelLabels[level] })),
+    competencies: matrix,
+    totals: {
+      competencyCount: matrix.length,
+      coveredCount: matrix.filter((row) => row.covered).length,
+      evaluatedCount: matrix.filter((row) => row.evaluated.length > 0).length,
+      uncoveredCount: matrix.filter((row) => !row.covered).length
+    }
+  };
 }
 
-app.get('/api/status', async (_req, res) => {
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} o`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} Ko`;
+  return `${String(Number((bytes / (1024 * 1024)).toFixed(1))).replace('.', ',')} Mo`;
+}
+
+function normalizeAttachmentName(rawName) {
+  if (typeof rawName !== 'string') return null;
+
+  let decodedName;
   try {
-    await pool.query('SELECT 1');
-    res.json({ database: true });
+    decodedName = decodeURIComponent(rawName);
   } catch (error) {
-    console.error('Database connection check failed:', error.message);
-    res.status(503).json({
-      database: false,
-      error: 'Impossible de se connecter à la base de données.'
-    });
+    return null;
+  }
+
+  const name = path.basename(decodedName.replace(/\\/g, '/')).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return name && name.length <= 255 ? name : null;
+}
+
+function validateAttachmentUpload({ name, mimeType, size }) {
+  if (!name) {
+    return 'Le nom du fichier est manquant ou invalide.';
+  }
+
+  if (size <= 0) {
+    return 'Le fichier envoyé est vide.';
+  }
+
+  if (size > attachmentConfig.maxBytes) {
+    return `Le fichier dépasse la taille maximale de ${formatFileSize(attachmentConfig.maxBytes)}.`;
+  }
+
+  if (!attachmentConfig.mimeTypes.has(mimeType)) {
+    return `Le type de fichier ${mimeType || 'inconnu'} n'est pas accepté.`;
+  }
+
+  return null;
+}
+
+function normalizeEquipmentItem(rawItem) {
+  const name = typeof rawItem?.name === 'string' ? rawItem.name.trim() : '';
+  const description = typeof rawItem?.description === 'string' ? rawItem.description.trim() : '';
+  const quantity = Number(rawItem?.quantity);
+
+  if (!name || name.length > 100) {
+    return { error: "Le nom de l'équipement est requis (100 caractères au maximum)." };
+  }
+
+  if (description.length > 255) {
+    return { error: 'La description ne peut pas dépasser 255 caractères.' };
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > equipmentLimits.maxQuantity) {
+    return { error: `La quantité disponible doit être un entier entre 1 et ${equipmentLimits.maxQuantity}.` };
+  }
+
+  return { item: { name, description: description || null, quantity } };
+}
+
+function normalizeEquipmentBookings(rawBookings) {
+  if (!Array.isArray(rawBookings) || rawBookings.length > equipmentLimits.maxItemsPerActivity) {
+    return null;
+  }
+
+  const quantities = new Map();
+  for (const booking of rawBookings) {
+    const equipmentId = Number(booking?.equipmentId);
+    const quantity = Number(booking?.quantity);
+
+    if (!Number.isInteger(equipmentId) || equipmentId <= 0 || !Number.isInteger(quantity) || quantity < 1) {
+      return null;
+    }
+
+    quantities.set(equipmentId, (quantities.get(equipmentId) || 0) + quantity);
+  }
+
+  const bookings = [...quantities].map(([equipmentId, quantity]) => ({ equipmentId, quantity }));
+  if (bookings.some((booking) => booking.quantity > equipmentLimits.maxQuantity)) {
+    return null;
+  }
+
+  return bookings.sort((a, b) => a.equipmentId - b.equipmentId);
+}
+
+function groupEquipmentBookings(rows) {
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const sessionDate = toIsoDateString(row.sessionDate);
+    const key = `${row.equipmentId}|${sessionDate}|${row.period}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        equipmentId: row.equipmentId,
+        equipmentName: row.equipmentName,
+        available: row.available,
+        sessionDate,
+        period: row.period,
+        halfDayLabel: formatHalfDayLabel({ sessionDate, period: row.period }),
+        booked: 0,
+        overbooked: false,
+        bookings: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.booked += Number(row.quantity);
+    group.overbooked = group.booked > group.available;
+    group.bookings.push({
+      activityId: row.activityId,
+      activityName: row.activityName,
+      quantity: Number(row.quantity),
+      courseId: row.courseId,
+      moduleNumber: row.moduleNumber,
+      className: row.className,
+      teacherName: row.teacherName
+    });
+  });
+
+  return [...groups.values()].sort(
+    (a, b) =>
+      a.sessionDate.localeCompare(b.sessionDate) ||
+      slotToPeriod.indexOf(a.period) - slotToPeriod.indexOf(b.period) ||
+      a.equipmentName.localeCompare(b.equipmentName, 'fr')
+  );
+}
+
+function formatEquipmentWarning(group) {
+  const courses = group.bookings.map((booking) => `${booking.moduleNumber} (${booking.className})`);
+  return (
+    `« ${group.equipmentName} » : ${group.booked} réservé(s) pour ${group.available} disponible(s) ` +
+    `le ${group.halfDayLabel}, par ${[...new Set(courses)].join(', ')}.`
+  );
+}
+
+function normalizeRoom(rawRoom) {
+  const name = typeof rawRoom?.name === 'string' ? rawRoom.name.trim() : '';
+  const description = typeof rawRoom?.description === 'string' ? rawRoom.description.trim() : '';
+  const isVirtual = rawRoom?.isVirtual ?? false;
+
+  if (!name || name.length > 100) {
+    return { error: 'Le nom de la salle est requis (100 caractères au maximum).' };
+  }
+
+  if (description.length > 255) {
+    return { error: 'La description ne peut pas dépasser 255 caractères.' };
+  }
+
+  if (typeof isVirtual !== 'boolean') {
+    return { error: 'Indiquez si la salle est virtuelle.' };
+  }
+
+  return { room: { name, description: description || null, isVirtual } };
+}
+
+function formatRoomConflictWarning(conflict) {
+  const courses = conflict.courses.map((course) => `${course.moduleNumber} (${course.className}, ${course.teacherName})`);
+  return `Salle ${conflict.roomName} déjà occupée le ${conflict.halfDayLabel} par ${courses.join(', ')}.`;
+}
+
+function summarizeRoomConflicts(halfDays) {
+  return halfDays
+    .filter((halfDay) => halfDay.roomConflicts?.length > 0)
+    .map((halfDay) => {
+      const conflict = {
+        weekNumber: halfDay.weekNumber,
+        slotIndex: halfDay.slotIndex,
+        sessionDate: toIsoDateString(halfDay.sessionDate),
+        period: halfDay.period,
+        halfDayLabel: formatHalfDayLabel(halfDay),
+        roomName: halfDay.roomConflicts[0].roomName,
+        courses: halfDay.roomConflicts
+      };
+      return { ...conflict, message: formatRoomConflictWarning(conflict) };
+    });
+}
+
+function groupRoomOccupancy(rows, room) {
+  const entries = new Map();
+
+  rows.forEach((row) => {
+    const sessionDate = toIsoDateString(row.sessionDate);
+    const key = `${sessionDate}|${row.period}`;
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        sessionDate,
+        period: row.period,
+        halfDayLabel: formatHalfDayLabel({ sessionDate, period: row.period }),
+        conflict: false,
+        courses: []
+      });
+    }
+
+    const entry = entries.get(key);
+    entry.courses.push({
+      courseId: row.courseId,
+      moduleNumber: row.moduleNumber,
+      moduleName: row.moduleName,
+      className: row.className,
+      teacherName: row.teacherName,
+      weekNumber: row.weekNumber,
+      status: row.status
+    });
+    entry.conflict = !room.isVirtual && entry.courses.length > 1;
+  });
+
+  return [...entries.values()].sort(
+    (a, b) => a.sessionDate.localeCompare(b.sessionDate) || slotToPeriod.indexOf(a.period) - slotToPeriod.indexOf(b.period)
+  );
+}
+
+function formatAgendaCourseLabel(course) {
+  return `${course.moduleNumber} · ${course.moduleName} (${course.className})`;
+}
+
+function buildTeacherAgenda(halfDayRows, activityRows) {
+  const activitiesByHalfDay = new Map();
+  activityRows.forEach((activity) => {
+    if (!activitiesByHalfDay.has(activity.halfDayId)) {
+      activitiesByHalfDay.set(activity.halfDayId, []);
+    }
+    activitiesByHalfDay.get(activity.halfDayId).push({
+      name: activity.name,
+      format: activity.format,
+      formatLabel: getFormatLabel(activity.format),
+      duration: Number(activity.duration) || 0
+    });
+  });
+
+  const halfDays = halfDayRows
+    .map((row) => {
+      const sessionDate = toIsoDateString(row.sessionDate);
+      const activities = activitiesByHalfDay.get(row.halfDayId) || [];
+      const timeRange = getCoursePeriodSettings(row).periodLimits[row.period] || null;
+
+      return {
+        halfDayId: row.halfDayId,
+        courseId: row.courseId,
+        courseLabel: formatAgendaCourseLabel(row),
+        moduleNumber: row.moduleNumber,
+        moduleName: row.moduleName,
+        className: row.className,
+        room: row.room,
+        weekNumber: row.weekNumber,
+        slotIndex: row.slotIndex,
+        sessionDate,
+        period: row.period,
+        halfDayLabel: formatHalfDayLabel({ sessionDate, period: row.period }),
+        startTime: timeRange?.start || null,
+        endTime: timeRange?.end || null,
+        status: row.status || 'normal',
+        statusReason: row.statusReason || '',
+        activities,
+        plannedMinutes: activities.reduce((total, activity) => total + activity.duration, 0),
+        conflictWith: []
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.sessionDate.localeCompare(b.sessionDate) ||
+        slotToPeriod.indexOf(a.period) - slotToPeriod.indexOf(b.period) ||
+        a.moduleNumber.localeCompare(b.moduleNumber)
+    );
+
+  const busyHalfDays = new Map();
+  halfDays
+    .filter((halfDay) => !teacherFreeHalfDayStatuses.includes(halfDay.status))
+    .forEach((halfDay) => {
+      const key = `${halfDay.sessionDate}|${halfDay.period}`;
+      if (!busyHalfDays.has(key)) {
+        busyHalfDays.set(key, []);
+      }
+      busyHalfDays.get(key).push(halfDay);
+    });
+
+  const conflicts = [];
+  busyHalfDays.forEach((entries) => {
+    if (new Set(entries.map((entry) => entry.courseId)).size < 2) return;
+
+    entries.forEach((entry) => {
+      entry.conflictWith = entries
+        .filter((other) => other.courseId !== entry.courseId)
+        .map((other) => ({ courseId: other.courseId, courseLabel: other.courseLabel }));
+    });
+    conflicts.push({
+      sessionDate: entries[0].sessionDate,
+      period: entries[0].period,
+      halfDayLabel: entries[0].halfDayLabel,
+      courses: entries.map((entry) => ({ courseId: entry.courseId, courseLabel: entry.courseLabel, room: entry.room })),
+      message: `${entries.length} cours planifiés le ${entries[0].halfDayLabel} : ${entries
+        .map((entry) => entry.courseLabel)
+        .join(', ')}.`
+    });
+  });
+
+  return { halfDays, conflicts };
+}
+
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function buildFullTextQuery(rawQuery) {
+  if (typeof rawQuery !== 'string' || rawQuery.length > searchLimits.maxQueryLength) return null;
+
+  const terms = [
+    ...new Set(
+      rawQuery
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map((term) => term.toLowerCase())
+    )
+  ].slice(0, searchLimits.maxTerms);
+
+  if (terms.length === 0) return null;
+
+  const indexedTerms = terms.filter(
+    (term) => term.length >= searchLimits.minTermLength && !fullTextStopwords.has(term)
+  );
+  if (indexedTerms.length === 0) {
+    return { terms, booleanQuery: null };
+  }
+
+  return { terms: indexedTerms, booleanQuery: indexedTerms.map((term) => `+${term}*`).join(' ') };
+}
+
+function buildSearchCondition(columns, { terms, booleanQuery }) {
+  if (booleanQuery) {
+    const match = `MATCH (${columns}) AGAINST (? IN BOOLEAN MODE)`;
+    return { score: match, condition: match, scoreParams: [booleanQuery], conditionParams: [booleanQuery] };
+  }
+
+  return {
+    score: '0',
+    condition: terms.map(() => `CONCAT_WS(' ', ${columns}) LIKE ?`).join(' AND '),
+    scoreParams: [],
+    conditionParams: terms.map((term) => `%${term}%`)
+  };
+}
+
+function buildSearchExcerpt(fields, terms) {
+  const normalizedTerms = terms.map(normalizeSearchText);
+
+  for (const { label, text } of fields) {
+    if (!text) continue;
+
+    const flatText = text.replace(/\s+/g, ' ').trim();
+    const normalizedText = normalizeSearchText(flatText);
+    const matchIndexes = normalizedTerms.map((term) => normalizedText.indexOf(term)).filter((index) => index >= 0);
+    if (matchIndexes.length === 0) continue;
+
+    const matchIndex = Math.min(...matchIndexes);
+    const start = Math.max(0, Math.min(matchIndex - 40, flatText.length - searchLimits.excerptLength));
+    const end = Math.min(flatText.length, start + searchLimits.excerptLength);
+
+    return {
+      field: label,
+      excerpt: `${start > 0 ? '…' : ''}${flatText.slice(start, end).trim()}${end < flatText.length ? '…' : ''}`
+    };
+  }
+
+  return { field: fields[0]?.label || '', excerpt: '' };
+}
+
+function buildSearchHit(type, row, fields, terms, extra = {}) {
+  return {
+    type,
+    score: Number(row.score) || 0,
+    courseId: row.courseId,
+    courseLabel: formatAgendaCourseLabel(row),
+    week: row.weekNumber ?? null,
+    slot: row.slotIndex ?? null,
+    halfDayLabel: row.sessionDate ? formatHalfDayLabel(row) : null,
+    ...buildSearchExcerpt(fields, terms),
+    ...extra
+  };
+}
+
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildActivityPlanCsv(activityRows) {
+  const lines = [
+    activityPlanColumns.map((column) => column.header),
+    ...activityRows.map((row) => activityPlanColumns.map((column) => row[column.key]))
+  ];
+
+  return `\uFEFF${lines.map((line) => line.map(escapeCsvValue).join(';')).join('\r\n')}\r\n`;
+}
+
+async function buildActivityPlanWorkbook(course, activityRows, halfDayTotals) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Coursio';
+  workbook.created = new Date();
+  workbook.title = `${course.moduleNumber} - ${course.moduleName}`;
+
+  const activitySheet = workbook.addWorksheet('Activités');
+  activitySheet.columns = activityPlanColumns;
+  activitySheet.addRows(activityRows.map((row) => ({ ...row, date: row.date ? new Date(`${row.date}T00:00:00Z`) : null })));
+  activitySheet.getColumn('date').numFmt = 'dd.mm.yyyy';
+
+  const totalsSheet = workbook.addWorksheet('Totaux par demi-journée');
+  totalsSheet.columns = halfDayTotalColumns;
+  totalsSheet.addRows(halfDayTotals.map((row) => ({ ...row, date: row.date ? new Date(`${row.date}T00:00:00Z`) : null })));
+  totalsSheet.getColumn('date').numFmt = 'dd.mm.yyyy';
+
+  [activitySheet, totalsSheet].forEach((sheet) => {
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+function toUtcDate(value) {
+  const isoDate = toIsoDateString(value);
+  return isoDate ? new Date(`${isoDate}T00:00:00Z`) : null;
+}
+
+function formatHalfDayLabel(halfDay) {
+  const periodLabel = halfDay.period === 'apres_midi' ? 'après-midi' : 'matin';
+  const sessionDate = toUtcDate(halfDay.sessionDate);
+  if (!sessionDate || Number.isNaN(sessionDate.getTime())) return periodLabel;
+
+  return `${longDateFormatter.format(sessionDate)} - ${periodLabel}`;
+}
+
+function formatCourseDateRange(halfDays) {
+  const dates = halfDays
+    .map((halfDay) => toUtcDate(halfDay.sessionDate))
+    .filter((date) => date && !Number.isNaN(date.getTime()))
+    .sort((a, b) => a - b);
+
+  if (dates.length === 0) return 'Dates à planifier';
+
+  const startLabel = dateRangeFormatter.format(dates[0]);
+  const endLabel = dateRangeFormatter.format(dates[dates.length - 1]);
+  return startLabel === endLabel ? startLabel : `Du ${startLabel} au ${endLabel}`;
+}
+
+function getRealTimeLabel(activity) {
+  if (!activity.actualStart && !activity.actualEnd) return '';
+  if (activity.actualStart && !activity.actualEnd) return `${formatClockTime(activity.actualStart)} - en cours`;
+
+  return `${formatClockTime(activity.actualStart)} - ${formatClockTime(activity.actualEnd)}`;
+}
+
+function buildSharedCanvas(course, halfDays, activities, shareLink) {
+  const weeks = [];
+
+  halfDays.forEach((halfDay) => {
+    let week = weeks.find((entry) => entry.week === halfDay.weekNumber);
+    if (!week) {
+      week = { week: halfDay.weekNumber, halfDays: [] };
+      weeks.push(week);
+    }
+
+    week.halfDays.push({
+      label: formatHalfDayLabel(halfDay),
+      status: halfDay.status,
+      statusLabel: halfDay.status !== 'normal' ? halfDayStatusLabels[halfDay.status] : '',
+      statusReason: halfDay.statusReason || '',
+      activities: activities
+        .filter((activity) => activity.week === halfDay.weekNumber && activity.slot === halfDay.slotIndex)
+        .map((activity) => ({
+          name: activity.name,
+          format: activity.type,
+          formatLabel: getFormatLabel(activity.type),
+          details: activity.details,
+          duration: activity.duration,
+          materials: shareLink.showMaterials ? activity.materials : '',
+          actualTime: shareLink.showTimings ? getRealTimeLabel(activity) : ''
+        }))
+    });
+  });
+
+  return {
+    course: {
+      moduleNumber: course.moduleNumber,
+      moduleName: course.moduleName,
+      teacher: course.teacher,
+      className: course.className,
+      room: course.room,
+      generalObjective: course.generalObjective || '',
+      dateRange: formatCourseDateRange(halfDays)
+    },
+    showMaterials: shareLink.showMaterials,
+    showTimings: shareLink.showTimings,
+    expiresOn: shareLink.expiresOn,
+    weeks
+  };
+}
+
+function buildCanvasPdf(course, halfDays, activities, orientation) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: orientation,
+      margins: { top: 40, bottom: 50, left: 40, right: 40 },
+      bufferPages: true,
+      info: { Title: `${course.moduleNumber} - ${course.moduleName}`, Author: course.teacher || 'Coursio' }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columns = canvasPdfColumns.map((column) => ({ ...column, width: contentWidth * column.ratio }));
+    const cellPadding = 4;
+    const classLabel = course.className?.trim() || 'Non précisée';
+    const roomLabel = course.room?.trim() || 'Non précisée';
+
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text('COURS', left, doc.y);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(
+      [course.moduleNumber, course.moduleName].filter(Boolean).join(' · ') || 'Cours sans titre'
+    );
+    doc.font('Helvetica').fontSize(10).fillColor('#333333').text(`${classLabel} — ${roomLabel}`);
+    doc.moveDown(0.6);
+
+    const details = [
+      ['Enseignant', course.teacher?.trim() || 'Non renseigné'],
+      ['Classe', classLabel],
+      ['Salle', roomLabel],
+      ['Période', formatCourseDateRange(halfDays)]
+    ];
+    const detailWidth = contentWidth / details.length;
+    const detailTop = doc.y;
+    let detailBottom = detailTop;
+    details.forEach(([label, value], index) => {
+      const x = left + index * detailWidth;
+      doc.font('Helvetica').fontSize(8).fillColor('#555555').text(label.toUpperCase(), x, detailTop, { width: detailWidth - 8 });
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text(value, x, doc.y, { width: detailWidth - 8 });
+      detailBottom = Math.max(detailBottom, doc.y);
+    });
+    doc.y = detailBottom + 14;
+
+    const getPageBottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const measureRow = (cells, font) => {
+      doc.font(font).fontSize(9);
+      return Math.max(
+        ...columns.map((column, index) =>
+          doc.heightOfString(cells[index] || '', { width: column.width - cellPadding * 2 })
+        )
+      ) + cellPadding * 2;
+    };
+
+    const drawRow = (cells, { font = 'Helvetica', fill = null } = {}) => {
+      const height = measureRow(cells, font);
+      const top = doc.y;
+      if (fill) {
+        doc.rect(left, top, contentWidth, height).fill(fill);
+      }
+
+      let x = left;
+      columns.forEach((column, index) => {
+        doc.rect(x, top, column.width, height).lineWidth(0.5).strokeColor('#999999').stroke();
+        doc.font(font).fontSize(9).fillColor('#000000').text(cells[index] || '', x + cellPadding, top + cellPadding, {
+          width: column.width - cellPadding * 2
+        });
+        x += column.width;
+      });
+
+      doc.y = top + height;
+    };
+
+    const drawTableHeader = () => drawRow(columns.map((column) => column.header), { font: 'Helvetica-Bold', fill: '#e5e7eb' });
+
+    const drawHeading = (label) => {
+      doc.font('Helvetica-Bold').fontSize(10);
+      const height = doc.heightOfString(label, { width: contentWidth - cellPadding * 2 }) + cellPadding * 2;
+      const top = doc.y;
+      doc.rect(left, top, contentWidth, height).fill('#f3f4f6');
+      doc.rect(left, top, contentWidth, height).lineWidth(0.5).strokeColor('#999999').stroke();
+      doc.fillColor('#000000').text(label, left + cellPadding, top + cellPadding, { width: contentWidth - cellPadding * 2 });
+      doc.y = top + height;
+      return height;
+    };
+
+    const ensureSpace = (height) => {
+      if (doc.y + height <= getPageBottom()) return;
+      doc.addPage();
+      drawTableHeader();
+    };
+
+    drawTableHeader();
+
+    const halfDayRows = halfDays
+      .filter((halfDay) => halfDay.status !== 'holiday')
+      .map((halfDay) => ({
+        halfDay,
+        activities: activities.filter(
+          (activity) => activity.week === halfDay.weekNumber && activity.slot === halfDay.slotIndex
+        )
+      }))
+      .filter((row) => row.activities.length > 0)
+      .sort(
+        (a, b) =>
+          toIsoDateString(a.halfDay.sessionDate).localeCompare(toIsoDateString(b.halfDay.sessionDate)) ||
+          slotToPeriod.indexOf(a.halfDay.period) - slotToPeriod.indexOf(b.halfDay.period) ||
+          a.halfDay.weekNumber - b.halfDay.weekNumber ||
+          a.halfDay.slotIndex - b.halfDay.slotIndex
+      );
+
+    if (halfDayRows.length === 0) {
+      drawHeading('Aucune activité planifiée');
+    }
+
+    halfDayRows.forEach(({ halfDay, activities: halfDayActivities }) => {
+      const label = formatHalfDayLabel(halfDay);
+      const rows = halfDayActivities.map((activity) => [
+        activity.duration ? `${activity.duration} min` : '',
+        getRealTimeLabel(activity),
+        getFormatLabel(activity.type),
+        activity.name,
+        (activity.materials || '')
+          .split('\n')
+          .map((item) => item.trim())
+          .filter(Boolean)
+          .join(', ')
+      ]);
+
+      doc.font('Helvetica-Bold').fontSize(10);
+      const headingHeight = doc.heightOfString(label, { width: contentWidth - cellPadding * 2 }) + cellPadding * 2;
+      ensureSpace(headingHeight + measureRow(rows[0], 'Helvetica'));
+      drawHeading(label);
+
+      rows.forEach((cells) => {
+        ensureSpace(measureRow(cells, 'Helvetica'));
+        drawRow(cells);
+      });
+    });
+
+    const pageRange = doc.bufferedPageRange();
+    for (let index = 0; index < pageRange.count; index += 1) {
+      doc.switchToPage(pageRange.start + index);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+        `Page ${index + 1} / ${pageRange.count}`,
+        left,
+        doc.page.height - 30,
+        { width: contentWidth, align: 'center' }
+      );
+      doc.page.margins.bottom = bottomMargin;
+    }
+
+    doc.end();
+  });
+}
+
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+
+  for (const character of line) {
+    if (Buffer.byteLength(current + character) > 73) {
+      chunks.push(current);
+      current = character;
+    } else {
+      current += character;
+    }
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function buildCourseCalendar(course, halfDays, activitiesByHalfDay) {
+  const stamp = formatIcsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Coursio//Planificateur de cours//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`${course.moduleNumber} - ${course.moduleName}`)}`
+  ];
+
+  const formatTime = (time) => `${time.replace(':', '')}00`;
+
+  halfDays.forEach((halfDay) => {
+    const timeRange = course.periodLimits[halfDay.period];
+    if (!timeRange) return;
+
+    const date = toIsoDateString(halfDay.sessionDate).replace(/-/g, '');
+    const activities = activitiesByHalfDay.get(halfDay.id) || [];
+    const summaryPrefix = { holiday: 'Congé - ', cancelled: 'Annulé - ', remote: 'À distance - ' }[halfDay.status] || '';
+    const descriptionLines = activities.map(
+      (activity, index) =>
+        `${index + 1}. ${activity.name} (${getFormatLabel(activity.format)}, ${activity.duration} min)`
+    );
+
+    if (halfDay.statusReason) {
+      descriptionLines.unshift(halfDay.statusReason, '');
+    }
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:coursio-half-day-${halfDay.id}@coursio`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${date}T${formatTime(timeRange.start)}`,
+      `DTEND:${date}T${formatTime(timeRange.end)}`,
+      `SUMMARY:${escapeIcsText(`${summaryPrefix}${course.moduleName} (${course.className})`)}`,
+      `LOCATION:${escapeIcsText(halfDay.status === 'remote' ? 'À distance' : course.room)}`,
+      `DESCRIPTION:${escapeIcsText(descriptionLines.join('\n'))}`,
+      `STATUS:${halfDay.status === 'holiday' || halfDay.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+function mapJsonLines(text) {
+  const lines = new Map();
+  const literalPattern = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+  let index = 0;
+  let line = 1;
+
+  function fail(message) {
+    const error = new Error(message);
+    error.line = line;
+    throw error;
+  }
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') line += 1;
+      index += 1;
+    }
+  }
+
+  function readString() {
+    const start = index;
+    index += 1;
+
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\n') fail('Retour à la ligne non échappé dans une chaîne.');
+      index += text[index] === '\\' ? 2 : 1;
+    }
+
+    if (index >= text.length) fail('Chaîne de caractères non terminée.');
+    index += 1;
+
+    try {
+      return JSON.parse(text.slice(start, index));
+    } catch (error) {
+      return fail("Séquence d'échappement invalide.");
+    }
+  }
+
+  function expect(character) {
+    skipWhitespace();
+    if (text[index] !== character) {
+      fail(`« ${character} » attendu, « ${text[index] || 'fin du fichier'} » trouvé.`);
+    }
+    index += 1;
+  }
+
+  function readValue(path) {
+    skipWhitespace();
+    lines.set(path, line);
+    const character = text[index];
+
+    if (character === '{') {
+      index += 1;
+      skipWhitespace();
+      if (text[index] === '}') {
+        index += 1;
+        return;
+      }
+
+      for (;;) {
+        skipWhitespace();
+        if (text[index] !== '"') fail('Nom de propriété attendu entre guillemets.');
+        const key = readString();
+        expect(':');
+        readValue(path ? `${path}.${key}` : key);
+        skipWhitespace();
+        if (text[index] === ',') {
+          index += 1;
+          continue;
+        }
+        expect('}');
+        return;
+      }
+    }
+
+    if (character === '[') {
+      index += 1;
+      skipWhitespace();
+      if (text[index] === ']') {
+        index += 1;
+        return;
+      }
+
+      for (let position = 0; ; position += 1) {
+        readValue(`${path}[${position}]`);
+        skipWhitespace();
+        if (text[index] === ',') {
+          index += 1;
+          continue;
+        }
+        expect(']');
+        return;
+      }
+    }
+
+    if (character === '"') {
+      readString();
+      return;
+    }
+
+    literalPattern.lastIndex = index;
+    const match = literalPattern.exec(text);
+    if (!match) {
+      fail(`Caractère inattendu « ${character || 'fin du fichier'} ».`);
+    }
+    index += match[0].length;
+  }
+
+  readValue('');
+  skipWhitespace();
+  if (index < text.length) {
+    fail('Contenu inattendu après la fin du document.');
+  }
+
+  return lines;
+}
+
+function findJsonLine(lines, path) {
+  let currentPath = path;
+
+  while (currentPath && !lines.has(currentPath)) {
+    currentPath = currentPath.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+  }
+
+  return lines.get(currentPath) || 1;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function validateCourseDocument(document) {
+  const errors = [];
+  const addError = (path, message) => errors.push({ path, message });
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    addError('', 'Le document doit être un objet JSON.');
+    return errors;
+  }
+
+  if (document.schemaVersion !== courseDocumentSchemaVersion) {
+    addError(
+      'schemaVersion',
+      `Version de schéma non prise en charge (attendue : ${courseDocumentSchemaVersion}, reçue : ${document.schemaVersion ?? 'aucune'}).`
+    );
+    return errors;
+  }
+
+  const course = document.course;
+  if (!course || typeof course !== 'object' || Array.isArray(course)) {
+    addError('course', 'Les informations du cours sont manquantes.');
+    return errors;
+  }
+
+  const courseFieldMaxLengths = { moduleNumber: 50, moduleName: 255, className: 100, room: 100 };
+  Object.entries(courseFieldMaxLengths).forEach(([field, maxLength]) => {
+    if (!isNonEmptyString(course[field])) {
+      addError(`course.${field}`, `Le champ « ${field} » est requis.`);
+    } else if (course[field].trim().length > maxLength) {
+      addError(`course.${field}`, `Le champ « ${field} » ne doit pas dépasser ${maxLength} caractères.`);
+    }
+  });
+
+  ['generalObjective', 'particularites'].forEach((field) => {
+    if (!isOptionalString(course[field])) {
+      addError(`course.${field}`, `Le champ « ${field} » doit être une chaîne de caractères.`);
+    }
+  });
+
+  if (!isValidDateString(course.startDate)) {
+    addError('course.startDate', 'La date de début est invalide (format AAAA-MM-JJ attendu).');
+  }
+
+  if (!slotToPeriod.includes(course.startPeriod)) {
+    addError('course.startPeriod', 'La demi-journée de début doit valoir « matin » ou « apres_midi ».');
+  }
+
+  if (!isValidWeekCount(course.weekCount)) {
+    addError(
+      'course.weekCount',
+      `Le nombre de semaines doit être compris entre ${courseLayoutLimits.minWeeks} et ${courseLayoutLimits.maxWeeks}.`
+    );
+  }
+
+  if (!isValidSlotsPerWeek(course.slotsPerWeek)) {
+    addError(
+      'course.slotsPerWeek',
+      `Le nombre de demi-journées par semaine doit être compris entre ${courseLayoutLimits.minSlotsPerWeek} et ${courseLayoutLimits.maxSlotsPerWeek}.`
+    );
+  }
+
+  if (errors.some((error) => error.path === 'course.weekCount' || error.path === 'course.slotsPerWeek')) {
+    return errors;
+  }
+
+  if (course.weeklyPattern !== undefined && course.weeklyPattern !== null) {
+    const normalizedPattern = normalizeWeeklyPattern(course.weeklyPattern);
+    if (!normalizedPattern) {
+      addError('course.weeklyPattern', 'Le rythme hebdomadaire est invalide.');
+    } else if (normalizedPattern.length !== course.slotsPerWeek) {
+      addError('course.weeklyPattern', 'Le rythme hebdomadaire doit compter autant de demi-journées que « slotsPerWeek ».');
+    }
+  }
+
+  if (!Array.isArray(document.halfDays)) {
+    addError('halfDays', 'La liste des demi-journées est manquante.');
+    return errors;
+  }
+
+  const seenHalfDays = new Set();
+  document.halfDays.forEach((halfDay, halfDayIndex) => {
+    const path = `halfDays[${halfDayIndex}]`;
+    if (!halfDay || typeof halfDay !== 'object' || Array.isArray(halfDay)) {
+      addError(path, 'Chaque demi-journée doit être un objet.');
+      return;
+    }
+
+    if (!isValidWeekNumber(course, halfDay.weekNumber)) {
+      addError(`${path}.weekNumber`, `La semaine doit être comprise entre 1 et ${course.weekCount}.`);
+    }
+
+    if (!isValidSlotIndex(course, halfDay.slotIndex)) {
+      addError(`${path}.slotIndex`, `Le créneau doit être compris entre 0 et ${course.slotsPerWeek - 1}.`);
+    }
+
+    const key = `${halfDay.weekNumber}-${halfDay.slotIndex}`;
+    if (seenHalfDays.has(key)) {
+      addError(path, 'Cette demi-journée est déjà décrite plus haut dans le document.');
+    }
+    seenHalfDays.add(key);
+
+    const status = halfDay.status ?? 'normal';
+    if (!supportedHalfDayStatuses.has(status)) {
+      addError(`${path}.status`, `État de demi-journée inconnu : ${status}.`);
+    }
+
+    if (!isOptionalString(halfDay.statusReason)) {
+      addError(`${path}.statusReason`, 'Le motif doit être une chaîne de caractères.');
+    } else if (typeof halfDay.statusReason === 'string' && halfDay.statusReason.trim().length > 255) {
+      addError(`${path}.statusReason`, 'Le motif ne doit pas dépasser 255 caractères.');
+    }
+
+    if (!isOptionalString(halfDay.notes)) {
+      addError(`${path}.notes`, 'Les notes doivent être une chaîne de caractères.');
+    }
+
+    const activities = halfDay.activities ?? [];
+    if (!Array.isArray(activities)) {
+      addError(`${path}.activities`, 'Les activités doivent être une liste.');
+      return;
+    }
+
+    if (status === 'holiday' && activities.length > 0) {
+      addError(`${path}.activities`, 'Une demi-journée marquée comme congé ne peut pas contenir d’activités.');
+    }
+
+    activities.forEach((activity, activityIndex) => {
+      const activityPath = `${path}.activities[${activityIndex}]`;
+      if (!activity || typeof activity !== 'object' || Array.isArray(activity)) {
+        addError(activityPath, 'Chaque activité doit être un objet.');
+        return;
+      }
+
+      if (!isNonEmptyString(activity.name)) {
+        addError(`${activityPath}.name`, 'Le nom de l’activité est requis.');
+      }
+
+      if (!activityFormats.has(activity.format)) {
+        addError(`${activityPath}.format`, `Format d’activité inconnu : ${activity.format ?? 'aucun'}.`);
+      }
+
+      if (!Number.isInteger(activity.duration) || activity.duration <= 0 || activity.duration > 65535) {
+        addError(`${activityPath}.duration`, 'La durée (en minutes) doit être un nombre entier compris entre 1 et 65535.');
+      }
+
+      if (!isOptionalString(activity.description)) {
+        addError(`${activityPath}.description`, 'La description doit être une chaîne de caractères.');
+      }
+
+      if (!isOptionalString(activity.materials)) {
+        addError(`${activityPath}.materials`, 'Le matériel doit être une chaîne de caractères.');
+      }
+    });
+  });
+
+  return errors;
+}
+
+async function listClosurePeriods(teacherId) {
+  const [rows] = await pool.query(
+    `SELECT id, teacher_id AS teacherId, start_date AS startDate, end_date AS endDate, label, source
+     FROM closure_periods
+     WHERE teacher_id IS NULL OR teacher_id = ?
+     ORDER BY start_date, end_date`,
+    [teacherId]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    scope: row.teacherId ? 'teacher' : 'global',
+    startDate: toIsoDateString(row.startDate),
+    endDate: toIsoDateString(row.endDate),
+    label: row.label,
+    source: row.source
+  }));
+}
+
+async function listActivityFormats() {
+  const [rows] = await pool.query(
+    `SELECT f.id, f.code, f.label, f.color, f.icon, f.is_evaluation AS isEvaluation, f.is_default AS isDefault,
+            f.created_by AS createdBy, COUNT(a.id) AS activityCount
+     FROM activity_formats f
+     LEFT JOIN activities a ON a.format = f.code
+     GROUP BY f.id
+     ORDER BY f.id`
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    isEvaluation: Boolean(row.isEvaluation),
+    isDefault: Boolean(row.isDefault),
+    activityCount: Number(row.activityCount)
+  }));
+}
+
+async function refreshActivityFormats() {
+  const formats = await listActivityFormats();
+  activityFormats = new Map(formats.map((format) => [format.code, format]));
+  return formats;
+}
+
+async function listModuleCompetencies(moduleNumber) {
+  const [rows] = await pool.query(
+    `SELECT id, code, label, kind
+     FROM module_competencies
+     WHERE module_number = ?
+     ORDER BY code`,
+    [moduleNumber]
+  );
+
+  return rows;
+}
+
+async function canEditModuleCompetencies(moduleNumber, user) {
+  if (user.isAdmin) return true;
+
+  // Le catalogue est partagé par tous les cours du module : il suffit d'un cours actif dont
+  // l'enseignant n'est pas propriétaire pour lui refuser la modification.
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS total
+     FROM courses c
+     LEFT JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ? AND m.role = 'owner'
+     WHERE c.module_number = ? AND c.deleted_at IS NULL AND m.teacher_id IS NULL`,
+    [user.id, moduleNumber]
+  );
+
+  return Number(rows[0].total) === 0;
+}
+
+async function hasModuleCompetencies(moduleNumber, competencyIds) {
+  if (competencyIds.length === 0) return true;
+
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) AS total FROM module_competencies WHERE module_number = ? AND id IN (?)',
+    [moduleNumber, competencyIds]
+  );
+
+  return Number(rows[0].total) === competencyIds.length;
+}
+
+async function getActivityCompetencyIds(connection, activityId) {
+  const [rows] = await connection.query(
+    'SELECT competency_id AS competencyId FROM activity_competencies WHERE activity_id = ? ORDER BY competency_id',
+    [activityId]
+  );
+
+  return rows.map((row) => row.competencyId);
+}
+
+async function setActivityCompetencies(connection, activityId, competencyIds) {
+  await connection.query('DELETE FROM activity_competencies WHERE activity_id = ?', [activityId]);
+  if (competencyIds.length === 0) return;
+
+  await connection.query(
+    `INSERT INTO activity_competencies (activity_id, competency_id)
+     SELECT ?, id FROM module_competencies WHERE id IN (?)`,
+    [activityId, competencyIds]
+  );
+}
+
+async function listEquipmentItems() {
+  const [rows] = await pool.query(
+    `SELECT e.id, e.name, e.description, e.quantity, e.created_by AS createdBy, COUNT(ae.activity_id) AS activityCount
+     FROM equipment_items e
+     LEFT JOIN activity_equipment ae ON ae.equipment_id = e.id
+     GROUP BY e.id
+     ORDER BY e.name`
+  );
+
+  return rows.map((row) => ({ ...row, activityCount: Number(row.activityCount) }));
+}
+
+function canEditEquipmentItem(item, user) {
+  return user.isAdmin || item.createdBy === user.id;
+}
+
+async function hasEquipmentItems(bookings) {
+  if (bookings.length === 0) return true;
+
+  const [rows] = await pool.query('SELECT COUNT(*) AS total FROM equipment_items WHERE id IN (?)', [
+    bookings.map((booking) => booking.equipmentId)
+  ]);
+
+  return Number(rows[0].total) === bookings.length;
+}
+
+async function getActivityEquipment(connection, activityId) {
+  const [rows] = await connection.query(
+    'SELECT equipment_id AS equipmentId, quantity FROM activity_equipment WHERE activity_id = ? ORDER BY equipment_id',
+    [activityId]
+  );
+
+  return rows;
+}
+
+async function setActivityEquipment(connection, activityId, bookings) {
+  await connection.query('DELETE FROM activity_equipment WHERE activity_id = ?', [activityId]);
+
+  for (const booking of bookings) {
+    await connection.query(
+      `INSERT INTO activity_equipment (activity_id, equipment_id, quantity)
+       SELECT ?, id, ? FROM equipment_items WHERE id = ?`,
+      [activityId, booking.quantity, booking.equipmentId]
+    );
+  }
+}
+
+async function listEquipmentBookings(connection, joinClause, whereClause, params) {
+  const [rows] = await connection.query(
+    `SELECT ae.equipment_id AS equipmentId, e.name AS equipmentName, e.quantity AS available, ae.quantity,
+            h.session_date AS sessionDate, h.period, a.id AS activityId, a.specific_objective AS activityName,
+            c.id AS courseId, c.module_number AS moduleNumber, c.class AS className, c.teacher AS teacherName
+     FROM activity_equipment ae
+     INNER JOIN equipment_items e ON ae.equipment_id = e.id
+     INNER JOIN activities a ON ae.activity_id = a.id
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     INNER JOIN courses c ON h.course_id = c.id
+     ${joinClause}
+     WHERE a.deleted_at IS NULL AND c.deleted_at IS NULL AND h.status NOT IN ('holiday', 'cancelled') AND ${whereClause}
+     ORDER BY h.session_date, h.period, c.module_number, a.id`,
+    params
+  );
+
+  return groupEquipmentBookings(rows);
+}
+
+async function getEquipmentWarnings(connection, activityId) {
+  const groups = await listEquipmentBookings(
+    connection,
+    `INNER JOIN activities target ON target.id = ?
+     INNER JOIN half_days target_half_day ON target.half_day_id = target_half_day.id
+     INNER JOIN activity_equipment target_equipment
+       ON target_equipment.activity_id = target.id AND target_equipment.equipment_id = ae.equipment_id`,
+    'h.session_date = target_half_day.session_date AND h.period = target_half_day.period',
+    [activityId]
+  );
+
+  return groups
+    .filter((group) => group.overbooked)
+    .map((group) => ({ ...group, message: formatEquipmentWarning(group) }));
+}
+
+function getAttachmentPath(storedName) {
+  return path.join(attachmentConfig.dir, storedName);
+}
+
+async function listActivityAttachments(connection, whereClause, params) {
+  const [rows] = await connection.query(
+    `SELECT att.id, att.activity_id AS activityId, att.original_name AS name, att.mime_type AS mimeType,
+            att.size_bytes AS size, att.created_at AS createdAt
+     FROM activity_attachments att
+     INNER JOIN activities a ON att.activity_id = a.id
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE ${whereClause}
+     ORDER BY att.activity_id, att.id`,
+    params
+  );
+
+  const attachmentsByActivity = new Map();
+  rows.forEach(({ activityId, ...attachment }) => {
+    attachmentsByActivity.set(activityId, [...(attachmentsByActivity.get(activityId) || []), attachment]);
+  });
+  return attachmentsByActivity;
+}
+
+async function removeAttachmentFiles(storedNames) {
+  await Promise.all(
+    storedNames.map((storedName) => fs.promises.rm(getAttachmentPath(storedName), { force: true }).catch(() => {}))
+  );
+}
+
+async function storeActivityAttachment(connection, activityId, { name, mimeType, size }, teacherId, writeFile) {
+  const storedName = crypto.randomBytes(16).toString('hex');
+
+  try {
+    await fs.promises.mkdir(attachmentConfig.dir, { recursive: true });
+    await writeFile(getAttachmentPath(storedName));
+    const [result] = await connection.query(
+      `INSERT INTO activity_attachments (activity_id, original_name, stored_name, mime_type, size_bytes, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [activityId, name, storedName, mimeType, size, teacherId]
+    );
+
+    return { id: result.insertId, storedName, name, mimeType, size };
+  } catch (error) {
+    await removeAttachmentFiles([storedName]);
+    throw error;
+  }
+}
+
+async function copyActivityAttachments(connection, activityPairs, teacherId) {
+  if (activityPairs.length === 0) return [];
+
+  const targetBySource = new Map(activityPairs.map(({ sourceId, targetId }) => [sourceId, targetId]));
+  const [rows] = await connection.query(
+    `SELECT activity_id AS activityId, original_name AS name, stored_name AS storedName, mime_type AS mimeType,
+            size_bytes AS size
+     FROM activity_attachments
+     WHERE activity_id IN (?)
+     ORDER BY id`,
+    [[...targetBySource.keys()]]
+  );
+
+  const storedNames = [];
+  try {
+    for (const row of rows) {
+      const attachment = await storeActivityAttachment(connection, targetBySource.get(row.activityId), row, teacherId, (targetPath) =>
+        fs.promises.copyFile(getAttachmentPath(row.storedName), targetPath)
+      );
+      storedNames.push(attachment.storedName);
+    }
+  } catch (error) {
+    await removeAttachmentFiles(storedNames);
+    throw error;
+  }
+
+  return storedNames;
+}
+
+async function getAttachmentForTeacher(attachmentId, teacherId) {
+  const [rows] = await pool.query(
+    `SELECT att.id, att.activity_id AS activityId, att.original_name AS name, att.stored_name AS storedName,
+            att.mime_type AS mimeType, att.size_bytes AS size, m.role
+     FROM activity_attachments att
+     INNER JOIN activities a ON att.activity_id = a.id
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     INNER JOIN courses c ON h.course_id = c.id
+     INNER JOIN course_members m ON m.course_id = c.id
+     WHERE att.id = ? AND m.teacher_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
+     LIMIT 1`,
+    [attachmentId, teacherId]
+  );
+
+  return rows[0] || null;
+}
+
+async function removeOrphanAttachmentFiles() {
+  let fileNames;
+  try {
+    fileNames = await fs.promises.readdir(attachmentConfig.dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const [rows] = await pool.query('SELECT stored_name AS storedName FROM activity_attachments');
+  const storedNames = new Set(rows.map((row) => row.storedName));
+  const orphanNames = fileNames.filter(
+    (fileName) => /^[0-9a-f]{32}$/.test(fileName) && !storedNames.has(fileName)
+  );
+
+  await removeAttachmentFiles(orphanNames);
+  return orphanNames.length;
+}
+
+async function listRooms() {
+  const [rows] = await pool.query(
+    `SELECT r.id, r.name, r.description, r.is_virtual AS isVirtual, r.created_by AS createdBy, COUNT(c.id) AS courseCount
+     FROM rooms r
+     LEFT JOIN courses c ON c.room_id = r.id
+     GROUP BY r.id
+     ORDER BY r.name`
+  );
+
+  return rows.map((row) => ({ ...row, isVirtual: Boolean(row.isVirtual), courseCount: Number(row.courseCount) }));
+}
+
+function canEditRoom(room, user) {
+  return user.isAdmin || room.createdBy === user.id;
+}
+
+async function resolveRoomId(connection, roomName, teacherId) {
+  await connection.query('INSERT IGNORE INTO rooms (name, created_by) VALUES (?, ?)', [roomName, teacherId || null]);
+  const [rows] = await connection.query('SELECT id FROM rooms WHERE name = ? LIMIT 1', [roomName]);
+
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+async function attachRoomConflicts(courseId, halfDays) {
+  const [rows] = await pool.query(
+    `SELECT h.id AS halfDayId, r.name AS roomName, c.id AS courseId, c.module_number AS moduleNumber,
+            c.class AS className, c.teacher AS teacherName
+     FROM half_days h
+     INNER JOIN courses own ON own.id = h.course_id
+     INNER JOIN rooms r ON r.id = own.room_id AND r.is_virtual = 0
+     INNER JOIN courses c ON c.room_id = own.room_id AND c.id <> own.id AND c.deleted_at IS NULL
+     INNER JOIN half_days other
+       ON other.course_id = c.id AND other.session_date = h.session_date AND other.period = h.period
+     WHERE h.course_id = ? AND h.status NOT IN (?) AND other.status NOT IN (?)
+     ORDER BY h.id, c.module_number`,
+    [courseId, roomFreeHalfDayStatuses, roomFreeHalfDayStatuses]
+  );
+
+  const conflictsByHalfDay = new Map();
+  rows.forEach(({ halfDayId, ...conflict }) => {
+    conflictsByHalfDay.set(halfDayId, [...(conflictsByHalfDay.get(halfDayId) || []), conflict]);
+  });
+
+  return halfDays.map((halfDay) => ({ ...halfDay, roomConflicts: conflictsByHalfDay.get(halfDay.id) || [] }));
+}
+
+async function getOrderedActivityIds(connection, halfDayId) {
+  const [activities] = await connection.query(
+    'SELECT id FROM activities WHERE half_day_id = ? AND deleted_at IS NULL ORDER BY position IS NULL, position, id',
+    [halfDayId]
+  );
+
+  return activities.map((activity) => activity.id);
+}
+
+async function resequenceHalfDayPositions(connection, halfDayId) {
+  const activityIds = await getOrderedActivityIds(connection, halfDayId);
+
+  await Promise.all(
+    activityIds.map((activityId, index) =>
+      connection.query('UPDATE activities SET position = ? WHERE id = ?', [index + 1, activityId])
+    )
+  );
+}
+
+async function getActivitySnapshot(connection, activityId) {
+  const [rows] = await connection.query(
+    `SELECT a.id, a.half_day_id AS halfDayId, h.course_id AS courseId, h.week_number AS weekNumber, h.slot_index AS slotIndex,
+            a.position, a.specific_objective AS name, a.description, a.duration_minutes AS duration, a.format, a.materials,
+            a.actual_start_time AS actualStart, a.actual_end_time AS actualEnd
+     FROM activities a
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE a.id = ? AND a.deleted_at IS NULL
+     LIMIT 1`,
+    [activityId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    ...row,
+    actualStart: row.actualStart ? new Date(row.actualStart).toISOString() : null,
+    actualEnd: row.actualEnd ? new Date(row.actualEnd).toISOString() : null,
+    competencyIds: await getActivityCompetencyIds(connection, activityId),
+    equipment: await getActivityEquipment(connection, activityId)
+  };
+}
+
+async function getHalfDaySnapshot(connection, halfDayId) {
+  const [rows] = await connection.query(
+    `SELECT id, course_id AS courseId, week_number AS weekNumber, slot_index AS slotIndex, session_date AS sessionDate, period,
+            status, status_reason AS statusReason
+     FROM half_days
+     WHERE id = ?
+     LIMIT 1`,
+    [halfDayId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], sessionDate: toIsoDateString(rows[0].sessionDate) };
+}
+
+async function getCourseSnapshot(connection, courseId) {
+  const [courses] = await connection.query(
+    `SELECT id, module_number AS moduleNumber, module_name AS moduleName, class AS className, room,
+            general_objective AS generalObjective, particularites, start_date AS startDate, start_period AS startPeriod,
+            week_count AS weekCount, slots_per_week AS slotsPerWeek, weekly_pattern AS weeklyPattern,
+            period_limits AS periodLimits, period_breaks AS periodBreaks, strict_capacity AS strictCapacity
+     FROM courses
+     WHERE id = ?
+     LIMIT 1`,
+    [courseId]
+  );
+
+  if (courses.length === 0) {
+    return null;
+  }
+
+  const [halfDays] = await connection.query(
+    `SELECT week_number AS weekNumber, slot_index AS slotIndex, session_date AS sessionDate, period
+     FROM half_days
+     WHERE course_id = ?
+     ORDER BY week_number, slot_index`,
+    [courseId]
+  );
+
+  return {
+    ...courses[0],
+    startDate: toIsoDateString(courses[0].startDate),
+    weeklyPattern: parseWeeklyPattern(courses[0].weeklyPattern),
+    periodLimits: parsePeriodLimits(courses[0].periodLimits),
+    breaks: parsePeriodBreaks(courses[0].periodBreaks),
+    strictCapacity: Boolean(courses[0].strictCapacity),
+    halfDays: halfDays.map((halfDay) => ({ ...halfDay, sessionDate: toIsoDateString(halfDay.sessionDate) }))
+  };
+}
+
+async function recordHistory(connection, { courseId, teacherId, entityType, entityId, action, summary, before, after, undoOf }) {
+  await connection.query(
+    `INSERT INTO course_history (course_id, teacher_id, entity_type, entity_id, action, summary, before_state, after_state, undo_of)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      courseId,
+      teacherId,
+      entityType,
+      entityId,
+      action,
+      summary.slice(0, 255),
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      undoOf || null
+    ]
+  );
+}
+
+async function recordOrphanedActivityDeletions(connection, courseId, weekCount, slotsPerWeek, teacherId) {
+  const [orphans] = await connection.query(
+    `SELECT a.id
+     FROM activities a
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE h.course_id = ? AND a.deleted_at IS NULL AND (h.week_number > ? OR h.slot_index >= ?)`,
+    [courseId, weekCount, slotsPerWeek]
+  );
+
+  for (const orphan of orphans) {
+    const snapshot = await getActivitySnapshot(connection, orphan.id);
+    await recordHistory(connection, {
+      courseId,
+      teacherId,
+      entityType: 'activity',
+      entityId: orphan.id,
+      action: 'delete',
+      summary: `Activité « ${snapshot.name} » supprimée avec sa demi-journée`,
+      before: snapshot,
+      after: null
+    });
+  }
+}
+
+async function placeActivityInHalfDay(connection, activityId, halfDayId, position) {
+  const activityIds = (await getOrderedActivityIds(connection, halfDayId)).filter((id) => id !== activityId);
+  const index = Math.min(Math.max((Number(position) || activityIds.length + 1) - 1, 0), activityIds.length);
+  activityIds.splice(index, 0, activityId);
+
+  await connection.query('UPDATE activities SET half_day_id = ? WHERE id = ?', [halfDayId, activityId]);
+  await Promise.all(
+    activityIds.map((id, activityIndex) =>
+      connection.query('UPDATE activities SET position = ? WHERE id = ?', [activityIndex + 1, id])
+    )
+  );
+}
+
+async function findCourseHalfDay(connection, courseId, weekNumber, slotIndex) {
+  const [rows] = await connection.query(
+    'SELECT id, status FROM half_days WHERE course_id = ? AND week_number = ? AND slot_index = ? LIMIT 1',
+    [courseId, weekNumber, slotIndex]
+  );
+
+  return rows[0] || null;
+}
+
+function createHistoryError(message, status = 409) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function softDeleteActivity(connection, activityId, teacherId) {
+  await connection.query('UPDATE activities SET deleted_at = NOW(), deleted_by = ? WHERE id = ?', [teacherId, activityId]);
+}
+
+async function restoreDeletedActivity(connection, activityId) {
+  const [rows] = await connection.query(
+    `SELECT a.half_day_id AS halfDayId, a.position, h.status
+     FROM activities a
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE a.id = ? AND a.deleted_at IS NOT NULL
+     LIMIT 1
+     FOR UPDATE`,
+    [activityId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { halfDayId, position, status } = rows[0];
+  if (status === 'holiday') {
+    throw createHistoryError("La demi-journée d'origine est désormais marquée comme congé.");
+  }
+
+  const [positions] = await connection.query(
+    `SELECT COALESCE(MAX(position), 0) AS maxPosition, COALESCE(SUM(position = ?), 0) AS takenCount
+     FROM activities
+     WHERE half_day_id = ? AND deleted_at IS NULL`,
+    [position, halfDayId]
+  );
+  const restoredPosition =
+    position && Number(positions[0].takenCount) === 0 ? position : Number(positions[0].maxPosition) + 1;
+
+  await connection.query('UPDATE activities SET deleted_at = NULL, deleted_by = NULL, position = ? WHERE id = ?', [
+    restoredPosition,
+    activityId
+  ]);
+
+  return { halfDayId, position: restoredPosition };
+}
+
+async function undoActivityChange(connection, entry, teacherId) {
+  const { before, after } = entry;
+  const current = await getActivitySnapshot(connection, entry.entityId);
+
+  if (entry.action === 'create' || entry.action === 'restore') {
+    if (!current) {
+      throw createHistoryError("L'activité a déjà été supprimée.");
+    }
+
+    await softDeleteActivity(connection, entry.entityId, teacherId);
+    return { current, restored: null };
+  }
+
+  const targetHalfDay = await findCourseHalfDay(connection, entry.courseId, before.weekNumber, before.slotIndex);
+  if (!targetHalfDay) {
+    throw createHistoryError("La demi-journée d'origine de l'activité n'existe plus.");
+  }
+
+  if (entry.action === 'delete') {
+    if (current) {
+      throw createHistoryError("L'activité existe déjà.");
+    }
+
+    if (targetHalfDay.status === 'holiday') {
+      throw createHistoryError("La demi-journée d'origine est désormais marquée comme congé.");
+    }
+
+    if (await restoreDeletedActivity(connection, before.id)) {
+      return { current: null, restored: await getActivitySnapshot(connection, before.id) };
+    }
+
+    await connection.query(
+      `INSERT INTO activities (id, half_day_id, specific_objective, description, duration_minutes, format, materials,
+                               actual_start_time, actual_end_time)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        before.id,
+        targetHalfDay.id,
+        before.name,
+        before.description,
+        before.duration,
+        before.format,
+        before.materials,
+        before.actualStart ? new Date(before.actualStart) : null,
+        before.actualEnd ? new Date(before.actualEnd) : null
+      ]
+    );
+    await placeActivityInHalfDay(connection, before.id, targetHalfDay.id, before.position);
+    await setActivityCompetencies(connection, before.id, before.competencyIds || []);
+    await setActivityEquipment(connection, before.id, before.equipment || []);
+    return { current: null, restored: await getActivitySnapshot(connection, before.id) };
+  }
+
+  if (!current) {
+    throw createHistoryError("L'activité a été supprimée depuis cette modification.");
+  }
+
+  const fieldColumns = {
+    name: 'specific_objective',
+    description: 'description',
+    duration: 'duration_minutes',
+    format: 'format',
+    materials: 'materials',
+    actualStart: 'actual_start_time',
+    actualEnd: 'actual_end_time'
+  };
+  const updates = [];
+  const params = [];
+
+  Object.entries(fieldColumns).forEach(([field, column]) => {
+    if (before[field] === after[field]) return;
+    updates.push(`${column} = ?`);
+    params.push((field === 'actualStart' || field === 'actualEnd') && before[field] ? new Date(before[field]) : before[field]);
+  });
+
+  if (updates.length > 0) {
+    params.push(entry.entityId);
+    await connection.query(`UPDATE activities SET ${updates.join(', ')} WHERE id = ?`, params);
+  }
+
+  if (JSON.stringify(before.competencyIds || []) !== JSON.stringify(after.competencyIds || [])) {
+    await setActivityCompetencies(connection, entry.entityId, before.competencyIds || []);
+  }
+
+  if (JSON.stringify(before.equipment || []) !== JSON.stringify(after.equipment || [])) {
+    await setActivityEquipment(connection, entry.entityId, before.equipment || []);
+  }
+
+  const hasMoved =
+    before.weekNumber !== after.weekNumber || before.slotIndex !== after.slotIndex || before.position !== after.position;
+  if (hasMoved) {
+    if (targetHalfDay.id !== current.halfDayId && targetHalfDay.status === 'holiday') {
+      throw createHistoryError("La demi-journée d'origine est désormais marquée comme congé.");
+    }
+
+    await placeActivityInHalfDay(connection, entry.entityId, targetHalfDay.id, before.position);
+    if (targetHalfDay.id !== current.halfDayId) {
+      await resequenceHalfDayPositions(connection, current.halfDayId);
+    }
+  }
+
+  return { current, restored: await getActivitySnapshot(connection, entry.entityId) };
+}
+
+async function undoHalfDayChange(connection, entry) {
+  const current = await getHalfDaySnapshot(connection, entry.entityId);
+  if (!current) {
+    throw createHistoryError("La demi-journée n'existe plus.");
+  }
+
+  if (entry.before.status === 'holiday') {
+    const activityIds = await getOrderedActivityIds(connection, entry.entityId);
+    if (activityIds.length > 0) {
+      throw createHistoryError("Impossible de remettre cette demi-journée en congé tant qu'une activité y est planifiée.");
+    }
+  }
+
+  await connection.query('UPDATE half_days SET status = ?, status_reason = ? WHERE id = ?', [
+    entry.before.status,
+    entry.before.statusReason,
+    entry.entityId
+  ]);
+
+  return { current, restored: await getHalfDaySnapshot(connection, entry.entityId) };
+}
+
+async function undoCourseChange(connection, entry, teacherId) {
+  if (entry.action === 'create') {
+    throw createHistoryError("La création d'un cours ne peut pas être annulée : supprimez le cours si nécessaire.");
+  }
+
+  if (entry.action !== 'update') {
+    throw createHistoryError('La suppression et la restauration d’un cours se gèrent depuis la corbeille.');
+  }
+
+  const { before } = entry;
+  const current = await getCourseSnapshot(connection, entry.courseId);
+  const orphanedActivities = await countOrphanedActivities(
+    entry.courseId,
+    before.weekCount,
+    before.slotsPerWeek,
+    connection
+  );
+  if (orphanedActivities > 0) {
+    throw createHistoryError(
+      `${orphanedActivities} activité(s) sont planifiées en dehors de l'ancienne durée du cours : déplacez-les avant d'annuler.`
+    );
+  }
+
+  await connection.query(
+    `UPDATE courses
+     SET module_number = ?, module_name = ?, class = ?, room = ?, room_id = ?, general_objective = ?, particularites = ?,
+         start_date = ?, start_period = ?, week_count = ?, slots_per_week = ?, weekly_pattern = ?, period_limits = ?,
+         period_breaks = ?, strict_capacity = ?
+     WHERE id = ?`,
+    [
+      before.moduleNumber,
+      before.moduleName,
+      before.className,
+      before.room,
+      await resolveRoomId(connection, before.room, teacherId),
+      before.generalObjective,
+      before.particularites,
+      before.startDate,
+      before.startPeriod,
+      before.weekCount,
+      before.slotsPerWeek,
+      before.weeklyPattern ? JSON.stringify(before.weeklyPattern) : null,
+      before.periodLimits ? JSON.stringify(before.periodLimits) : null,
+      before.breaks?.length ? JSON.stringify(before.breaks) : null,
+      before.strictCapacity ? 1 : 0,
+      entry.courseId
+    ]
+  );
+
+  await connection.query('DELETE FROM half_days WHERE course_id = ? AND (week_number > ? OR slot_index >= ?)', [
+    entry.courseId,
+    before.weekCount,
+    before.slotsPerWeek
+  ]);
+
+  for (const halfDay of before.halfDays) {
+    await connection.query(
+      `INSERT INTO half_days (course_id, week_number, slot_index, session_date, period)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE session_date = VALUES(session_date), period = VALUES(period)`,
+      [entry.courseId, halfDay.weekNumber, halfDay.slotIndex, halfDay.sessionDate, halfDay.period]
+    );
+  }
+
+  return { current, restored: await getCourseSnapshot(connection, entry.courseId) };
+}
+
+function hasCourseRole(role, minimumRole) {
+  return courseRoles.indexOf(role) >= courseRoles.indexOf(minimumRole);
+}
+
+async function listCourseHalfDays(courseId, teacherId) {
+  const membershipJoin = teacherId ? 'INNER JOIN course_members m ON m.course_id = h.course_id AND m.teacher_id = ?' : '';
+  const params = teacherId ? [teacherId, courseId] : [courseId];
+
+  const [halfDays] = await pool.query(
+    `SELECT h.id, h.week_number AS weekNumber, h.slot_index AS slotIndex, h.session_date AS sessionDate, h.period,
+            h.status, h.status_reason AS statusReason
+     FROM half_days h
+     ${membershipJoin}
+     WHERE h.course_id = ?
+     ORDER BY h.week_number, h.slot_index`,
+    params
+  );
+
+  return halfDays;
+}
+
+async function getCourse(courseId, teacherId) {
+  const membershipJoin = teacherId ? 'INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ?' : '';
+  const params = teacherId ? [teacherId, courseId] : [courseId];
+
+  const [rows] = await pool.query(
+    `SELECT c.id, c.teacher_id AS teacherId, c.teacher, c.class AS className, c.room, c.module_number AS moduleNumber,
+            c.module_name AS moduleName, c.general_objective AS generalObjective, c.particularites, c.start_date AS startDate,
+            c.start_period AS startPeriod, c.week_count AS weekCount, c.slots_per_week AS slotsPerWeek,
+            c.weekly_pattern AS weeklyPattern, c.period_limits AS periodLimits, c.period_breaks AS periodBreaks,
+            c.strict_capacity AS strictCapacity, ${teacherId ? 'm.role' : "'owner'"} AS role
+     FROM courses c
+     ${membershipJoin}
+     WHERE c.id = ? AND c.deleted_at IS NULL
+     LIMIT 1`,
+    params
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], weeklyPattern: parseWeeklyPattern(rows[0].weeklyPattern), ...getCoursePeriodSettings(rows[0]) };
+}
+
+async function countOrphanedActivities(courseId, weekCount, slotsPerWeek, connection = pool) {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS total
+     FROM activities a
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE h.course_id = ? AND a.deleted_at IS NULL AND (h.week_number > ? OR h.slot_index >= ?)`,
+    [courseId, weekCount, slotsPerWeek]
+  );
+
+  return Number(rows[0].total);
+}
+
+async function ensureHalfDaysForCourse(courseId, teacherId) {
+  const course = await getCourse(courseId, teacherId);
+  if (!course || !course.startDate || !course.startPeriod) {
+    return [];
+  }
+
+  const startSlotIndex = slotToPeriod.indexOf(course.startPeriod);
+  if (startSlotIndex === -1) {
+    return [];
+  }
+
+  const existingHalfDays = await listCourseHalfDays(courseId, teacherId);
+  const closures = await listClosurePeriods(course.teacherId);
+  const expectedHalfDays = buildExpectedHalfDays(course.startDate, startSlotIndex, course, 1, closures);
+  const existingKeys = new Set(existingHalfDays.map((halfDay) => `${halfDay.weekNumber}-${halfDay.slotIndex}`));
+  const missingHalfDays = expectedHalfDays.filter(
+    (halfDay) => !existingKeys.has(`${halfDay.weekNumber}-${halfDay.slotIndex}`)
+  );
+
+  if (missingHalfDays.length === 0) {
+    return attachRoomConflicts(courseId, existingHalfDays);
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const halfDay of missingHalfDays) {
+      await connection.query(
+        `INSERT INTO half_days (course_id, week_number, slot_index, session_date, period)
+         VALUES (?, ?, ?, ?, ?)`,
+        [courseId, halfDay.weekNumber, halfDay.slotIndex, halfDay.sessionDate, halfDay.period]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return attachRoomConflicts(courseId, await listCourseHalfDays(courseId, teacherId));
+}
+
+async function listCourseActivities(courseId, teacherId) {
+  const membershipJoin = teacherId ? 'INNER JOIN course_members m ON m.course_id = h.course_id AND m.teacher_id = ?' : '';
+  const params = teacherId ? [teacherId, courseId] : [courseId];
+
+  const [rows] = await pool.query(
+    `SELECT a.id,
+            a.specific_objective AS name,
+            a.description,
+            a.duration_minutes AS duration,
+            a.format,
+            a.materials,
+            a.actual_start_time AS actualStartTime,
+            a.actual_end_time AS actualEndTime,
+            h.week_number AS weekNumber,
+            h.slot_index AS slotIndex,
+            h.session_date AS sessionDate,
+            h.period
+     FROM activities a
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     ${membershipJoin}
+     WHERE h.course_id = ? AND a.deleted_at IS NULL
+     ORDER BY h.week_number, h.slot_index, a.position IS NULL, a.position, a.id`,
+    params
+  );
+  const [courses] = await pool.query(
+    'SELECT period_limits AS periodLimits, period_breaks AS periodBreaks FROM courses WHERE id = ? LIMIT 1',
+    [courseId]
+  );
+  const [competencyLinks] = await pool.query(
+    `SELECT ac.activity_id AS activityId, ac.competency_id AS competencyId
+     FROM activity_competencies ac
+     INNER JOIN activities a ON ac.activity_id = a.id
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE h.course_id = ?
+     ORDER BY ac.competency_id`,
+    [courseId]
+  );
+  const competencyIdsByActivity = new Map();
+  competencyLinks.forEach(({ activityId, competencyId }) => {
+    competencyIdsByActivity.set(activityId, [...(competencyIdsByActivity.get(activityId) || []), competencyId]);
+  });
+  const [equipmentLinks] = await pool.query(
+    `SELECT ae.activity_id AS activityId, ae.equipment_id AS equipmentId, e.name, ae.quantity
+     FROM activity_equipment ae
+     INNER JOIN equipment_items e ON ae.equipment_id = e.id
+     INNER JOIN activities a ON ae.activity_id = a.id
+     INNER JOIN half_days h ON a.half_day_id = h.id
+     WHERE h.course_id = ?
+     ORDER BY e.name`,
+    [courseId]
+  );
+  const equipmentByActivity = new Map();
+  equipmentLinks.forEach(({ activityId, ...booking }) => {
+    equipmentByActivity.set(activityId, [...(equipmentByActivity.get(activityId) || []), booking]);
+  });
+  const attachmentsByActivity = await listActivityAttachments(pool, 'h.course_id = ?', [courseId]);
+
+  const activities = rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    week: row.weekNumber,
+    slot: row.slotIndex,
+    type: row.format,
+    details: row.description,
+    duration: row.duration,
+    materials: row.materials || '',
+    sessionDate: row.sessionDate,
+    period: row.period,
+    actualStart: row.actualStartTime ? new Date(row.actualStartTime).toISOString() : null,
+    actualEnd: row.actualEndTime ? new Date(row.actualEndTime).toISOString() : null,
+    competencyIds: competencyIdsByActivity.get(row.id) || [],
+    equipment: equipmentByActivity.get(row.id) || [],
+    attachments: attachmentsByActivity.get(row.id) || []
+  })).filter((activity) => Number.isInteger(activity.week) && Number.isInteger(activity.slot));
+
+  return courses.length > 0 ? assignPlannedTimes(activities, getCoursePeriodSettings(courses[0])) : activities;
+}
+
+async function getHalfDayForCourse(courseId, weekNumber, slotIndex, teacherId) {
+  const halfDays = await ensureHalfDaysForCourse(courseId, teacherId);
+  const matchingHalfDay = halfDays.find(
+    (halfDay) => halfDay.weekNumber === weekNumber && halfDay.slotIndex === slotIndex
+  );
+
+  if (!matchingHalfDay) {
+    return null;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT h.id, h.session_date AS sessionDate, h.period, h.status
+     FROM half_days h
+     INNER JOIN course_members m ON m.course_id = h.course_id
+     WHERE h.course_id = ? AND h.week_number = ? AND h.slot_index = ? AND m.teacher_id = ?
+     LIMIT 1`,
+    [courseId, weekNumber, slotIndex, teacherId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...matchingHalfDay, id: rows[0].id, status: rows[0].status };
+}
+
+function isHolidayHalfDay(halfDay) {
+  return halfDay?.status === 'holiday';
+}
+
+async function getHalfDayCapacity(connection, halfDayId, excludedActivityId = null) {
+  const [rows] = await connection.query(
+    `SELECT h.period, c.period_limits AS periodLimits, c.period_breaks AS periodBreaks,
+            COALESCE(SUM(a.duration_minutes), 0) AS plannedMinutes
+     FROM half_days h
+     INNER JOIN courses c ON h.course_id = c.id
+     LEFT JOIN activities a ON a.half_day_id = h.id AND a.deleted_at IS NULL AND a.id <> ?
+     WHERE h.id = ?
+     GROUP BY h.id, h.period, c.period_limits, c.period_breaks`,
+    [excludedActivityId || 0, halfDayId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { periodLimits, breaks } = getCoursePeriodSettings(rows[0]);
+  const plannedMinutes = Number(rows[0].plannedMinutes);
+  const capacityMinutes = getPeriodCapacityMinutes(periodLimits, rows[0].period, breaks);
+
+  return {
+    halfDayId,
+    plannedMinutes,
+    capacityMinutes,
+    remainingMinutes: capacityMinutes - plannedMinutes,
+    isOverCapacity: plannedMinutes > capacityMinutes
+  };
+}
+
+async function getStrictCapacityError(connection, course, halfDayId, durationMinutes, activityId = null, previousMinutes = 0) {
+  if (!course.strictCapacity || durationMinutes <= previousMinutes) {
+    return null;
+  }
+
+  await connection.query('SELECT id FROM half_days WHERE id = ? FOR UPDATE', [halfDayId]);
+  const capacity = await getHalfDayCapacity(connection, halfDayId, activityId);
+  const plannedMinutes = capacity.plannedMinutes + durationMinutes;
+  if (plannedMinutes <= capacity.capacityMinutes) {
+    return null;
+  }
+
+  return `Cette demi-journée dépasserait sa capacité : ${plannedMinutes} min planifiées pour ${capacity.capacityMinutes} min disponibles.`;
+}
+
+async function ensureDefaultTeacher() {
+  const defaultEmail = process.env.DEFAULT_TEACHER_EMAIL || 'demo@coursio.local';
+  const defaultPassword = process.env.DEFAULT_TEACHER_PASSWORD || 'demo1234';
+
+  const existing = await getTeacherByEmail(defaultEmail);
+  const teacherId = existing
+    ? existing.id
+    : (await createTeacher({ email: defaultEmail, displayName: defaultCourse.teacher, password: defaultPassword })).id;
+
+  return teacherId;
+}
+
+async function ensureAdminAccount() {
+  const adminEmail = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const adminPassword = process.env.ADMIN_PASSWORD || '';
+  if (!adminEmail || !adminPassword) {
+    return;
+  }
+
+  if (!isValidEmail(adminEmail) || !isValidPassword(adminPassword) || adminPassword === 'demo1234') {
+    console.warn(
+      `Compte administrateur non créé : ADMIN_EMAIL doit être valide et ADMIN_PASSWORD compter au moins ${minPasswordLength} caractères, hors mot de passe de démonstration.`
+    );
+    return;
+  }
+
+  const [admins] = await pool.query('SELECT COUNT(*) AS total FROM teachers WHERE is_admin = 1 AND is_active = 1');
+  if (Number(admins[0].total) > 0) {
+    return;
+  }
+
+  const existing = await getTeacherByEmail(adminEmail);
+  if (existing) {
+    await pool.query(
+      'UPDATE teachers SET is_admin = 1, is_active = 1, password_hash = ?, token_version = token_version + 1 WHERE id = ?',
+      [hashPassword(adminPassword), existing.id]
+    );
+    return;
+  }
+
+  await createTeacher({ email: adminEmail, displayName: 'Administrateur', password: adminPassword, isAdmin: true });
+}
+
+async function ensureSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS teachers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      display_name VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      calendar_token_hash CHAR(64) NULL UNIQUE,
+      is_admin TINYINT(1) NOT NULL DEFAULT 0,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      token_version INT UNSIGNED NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS courses (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      teacher_id INT NULL,
+      teacher VARCHAR(255) NOT NULL,
+      class VARCHAR(100) NOT NULL,
+      room VARCHAR(100) NOT NULL,
+      module_number VARCHAR(50) NOT NULL,
+      module_name VARCHAR(255) NOT NULL,
+      general_objective TEXT NULL,
+      particularites TEXT NULL,
+      start_date DATE NOT NULL,
+      start_period ENUM('matin', 'apres_midi') NOT NULL,
+      week_count TINYINT UNSIGNED NOT NULL DEFAULT 5,
+      slots_per_week TINYINT UNSIGNED NOT NULL DEFAULT 3,
+      weekly_pattern TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_courses_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(
+    'ALTER TABLE teachers ADD COLUMN IF NOT EXISTS calendar_token_hash CHAR(64) NULL UNIQUE AFTER password_hash;'
+  );
+  await pool.query('ALTER TABLE teachers ADD COLUMN IF NOT EXISTS is_admin TINYINT(1) NOT NULL DEFAULT 0 AFTER calendar_token_hash;');
+  await pool.query('ALTER TABLE teachers ADD COLUMN IF NOT EXISTS is_active TINYINT(1) NOT NULL DEFAULT 1 AFTER is_admin;');
+  await pool.query(
+    'ALTER TABLE teachers ADD COLUMN IF NOT EXISTS token_version INT UNSIGNED NOT NULL DEFAULT 0 AFTER is_active;'
+  );
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS general_objective TEXT NULL AFTER module_name;');
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS particularites TEXT NULL AFTER general_objective;');
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS half_days (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      course_id INT NOT NULL,
+      week_number TINYINT UNSIGNED NOT NULL,
+      slot_index TINYINT UNSIGNED NOT NULL,
+      session_date DATE NOT NULL,
+      period ENUM('matin', 'apres_midi') NOT NULL,
+      status ENUM('normal', 'holiday', 'cancelled', 'remote') NOT NULL DEFAULT 'normal',
+      status_reason VARCHAR(255) NULL,
+      notes TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_half_days_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+      CONSTRAINT uq_half_days UNIQUE (course_id, week_number, slot_index)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS activities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      half_day_id INT NOT NULL,
+      specific_objective TEXT NOT NULL,
+      description TEXT NOT NULL,
+      duration_minutes SMALLINT UNSIGNED NOT NULL,
+      format VARCHAR(50) NOT NULL,
+      materials TEXT NULL,
+      actual_start_time DATETIME NULL,
+      actual_end_time DATETIME NULL,
+      position SMALLINT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_activities_half_day FOREIGN KEY (half_day_id) REFERENCES half_days(id) ON DELETE CASCADE,
+      INDEX idx_activities_half_day (half_day_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS activity_formats (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      label VARCHAR(100) NOT NULL UNIQUE,
+      color CHAR(7) NOT NULL,
+      icon VARCHAR(32) NOT NULL,
+      is_evaluation TINYINT(1) NOT NULL DEFAULT 0,
+      is_default TINYINT(1) NOT NULL DEFAULT 0,
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_activity_formats_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  for (const format of defaultActivityFormats) {
+    await pool.query(
+      `INSERT IGNORE INTO activity_formats (code, label, color, icon, is_evaluation, is_default)
+       VALUES (?, ?, ?, ?, ?, 1)`,
+      [format.code, format.label, format.color, format.icon, format.isEvaluation ? 1 : 0]
+    );
+  }
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      teacher_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_password_reset_tokens_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS closure_periods (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      teacher_id INT NULL,
+      created_by INT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      label VARCHAR(255) NOT NULL,
+      source ENUM('ics', 'csv') NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_closure_periods_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE,
+      CONSTRAINT fk_closure_periods_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL,
+      INDEX idx_closure_periods_dates (start_date, end_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS course_members (
+      course_id INT NOT NULL,
+      teacher_id INT NOT NULL,
+      role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'viewer',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (course_id, teacher_id),
+      CONSTRAINT fk_course_members_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+      CONSTRAINT fk_course_members_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE,
+      INDEX idx_course_members_teacher (teacher_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS course_share_links (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      course_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      show_materials TINYINT(1) NOT NULL DEFAULT 0,
+      show_timings TINYINT(1) NOT NULL DEFAULT 0,
+      expires_at DATETIME NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_course_share_links_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+      CONSTRAINT fk_course_share_links_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS course_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      course_id INT NOT NULL,
+      teacher_id INT NULL,
+      entity_type ENUM('course', 'half_day', 'activity') NOT NULL,
+      entity_id INT NULL,
+      action ENUM('create', 'update', 'move', 'timing', 'delete', 'restore', 'undo') NOT NULL,
+      summary VARCHAR(255) NOT NULL,
+      before_state LONGTEXT NULL,
+      after_state LONGTEXT NULL,
+      undo_of INT NULL,
+      undone_at DATETIME NULL,
+      undone_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_course_history_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+      CONSTRAINT fk_course_history_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL,
+      CONSTRAINT fk_course_history_undone_by FOREIGN KEY (undone_by) REFERENCES teachers(id) ON DELETE SET NULL,
+      INDEX idx_course_history_course (course_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS module_competencies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      module_number VARCHAR(50) NOT NULL,
+      code VARCHAR(32) NOT NULL,
+      label VARCHAR(255) NOT NULL,
+      kind ENUM('competence', 'objectif') NOT NULL DEFAULT 'competence',
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_module_competencies UNIQUE (module_number, code),
+      CONSTRAINT fk_module_competencies_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS activity_competencies (
+      activity_id INT NOT NULL,
+      competency_id INT NOT NULL,
+      PRIMARY KEY (activity_id, competency_id),
+      CONSTRAINT fk_activity_competencies_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+      CONSTRAINT fk_activity_competencies_competency FOREIGN KEY (competency_id) REFERENCES module_competencies(id) ON DELETE CASCADE,
+      INDEX idx_activity_competencies_competency (competency_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS equipment_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      quantity SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_equipment_items_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS activity_equipment (
+      activity_id INT NOT NULL,
+      equipment_id INT NOT NULL,
+      quantity SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+      PRIMARY KEY (activity_id, equipment_id),
+      CONSTRAINT fk_activity_equipment_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+      CONSTRAINT fk_activity_equipment_item FOREIGN KEY (equipment_id) REFERENCES equipment_items(id) ON DELETE CASCADE,
+      INDEX idx_activity_equipment_item (equipment_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS activity_attachments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      activity_id INT NOT NULL,
+      original_name VARCHAR(255) NOT NULL,
+      stored_name CHAR(32) NOT NULL UNIQUE,
+      mime_type VARCHAR(150) NOT NULL,
+      size_bytes INT UNSIGNED NOT NULL,
+      uploaded_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_activity_attachments_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+      CONSTRAINT fk_activity_attachments_teacher FOREIGN KEY (uploaded_by) REFERENCES teachers(id) ON DELETE SET NULL,
+      INDEX idx_activity_attachments_activity (activity_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      is_virtual TINYINT(1) NOT NULL DEFAULT 0,
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_rooms_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  const [teacherIdColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'teacher_id'");
+  if (teacherIdColumn.length === 0) {
+    await pool.query("ALTER TABLE courses ADD COLUMN teacher_id INT NULL AFTER id");
+    await pool.query(
+      'ALTER TABLE courses ADD CONSTRAINT fk_courses_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL'
+    );
+  }
+
+  const [roomIdColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'room_id'");
+  if (roomIdColumn.length === 0) {
+    await pool.query('ALTER TABLE courses ADD COLUMN room_id INT NULL AFTER room');
+    await pool.query('ALTER TABLE courses ADD CONSTRAINT fk_courses_room FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL');
+  }
+
+  await pool.query("INSERT IGNORE INTO rooms (name) SELECT DISTINCT room FROM courses WHERE room_id IS NULL AND room <> ''");
+  await pool.query('UPDATE courses c INNER JOIN rooms r ON r.name = c.room SET c.room_id = r.id WHERE c.room_id IS NULL');
+
+  const [startDateColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'start_date'");
+  if (startDateColumn.length === 0) {
+    await pool.query("ALTER TABLE courses ADD COLUMN start_date DATE NOT NULL DEFAULT (CURRENT_DATE()) AFTER module_name");
+  }
+
+  const [startPeriodColumn] = await pool.query("SHOW COLUMNS FROM courses LIKE 'start_period'");
+  if (startPeriodColumn.length === 0) {
+    await pool.query(
+      "ALTER TABLE courses ADD COLUMN start_period ENUM('matin', 'apres_midi') NOT NULL DEFAULT 'matin' AFTER start_date"
+    );
+  }
+
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS week_count TINYINT UNSIGNED NOT NULL DEFAULT 5 AFTER start_period;');
+  await pool.query(
+    'ALTER TABLE courses ADD COLUMN IF NOT EXISTS slots_per_week TINYINT UNSIGNED NOT NULL DEFAULT 3 AFTER week_count;'
+  );
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS weekly_pattern TEXT NULL AFTER slots_per_week;');
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS period_limits TEXT NULL AFTER weekly_pattern;');
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS period_breaks TEXT NULL AFTER period_limits;');
+  await pool.query(
+    'ALTER TABLE courses ADD COLUMN IF NOT EXISTS strict_capacity TINYINT(1) NOT NULL DEFAULT 0 AFTER period_breaks;'
+  );
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS deleted_at DATETIME NULL AFTER strict_capacity;');
+  await pool.query('ALTER TABLE courses ADD COLUMN IF NOT EXISTS deleted_by INT NULL AFTER deleted_at;');
+
+  const [slotIndexColumn] = await pool.query("SHOW COLUMNS FROM half_days LIKE 'slot_index'");
+  if (slotIndexColumn.length === 0) {
+    await pool.query(
+      "ALTER TABLE half_days ADD COLUMN slot_index TINYINT UNSIGNED NOT NULL DEFAULT 0 AFTER week_number"
+    );
+    await pool.query(
+      "UPDATE half_days SET slot_index = CASE WHEN period = 'matin' THEN 0 ELSE 1 END"
+    );
+  }
+
+  const [courseIdIndexes] = await pool.query("SHOW INDEX FROM half_days WHERE Column_name = 'course_id'");
+  const hasDedicatedCourseIndex = courseIdIndexes.some((index) => index.Key_name !== 'uq_half_days');
+
+  if (!hasDedicatedCourseIndex) {
+    await pool.query('ALTER TABLE half_days ADD INDEX idx_half_days_course_id (course_id)');
+  }
+
+  const [halfDayIndexes] = await pool.query("SHOW INDEX FROM half_days WHERE Key_name = 'uq_half_days'");
+  const hasExpectedIndex =
+    halfDayIndexes.length === 3 && new Set(halfDayIndexes.map((index) => index.Column_name)).has('slot_index');
+
+  if (!hasExpectedIndex) {
+    if (halfDayIndexes.length > 0) {
+      await pool.query('ALTER TABLE half_days DROP INDEX uq_half_days');
+    }
+
+    await pool.query('ALTER TABLE half_days ADD UNIQUE INDEX uq_half_days (course_id, week_number, slot_index)');
+  }
+
+  await pool.query(
+    "ALTER TABLE half_days ADD COLUMN IF NOT EXISTS status ENUM('normal', 'holiday', 'cancelled', 'remote') NOT NULL DEFAULT 'normal' AFTER period;"
+  );
+  await pool.query('ALTER TABLE half_days ADD COLUMN IF NOT EXISTS status_reason VARCHAR(255) NULL AFTER status;');
+
+  const [actualStartColumn] = await pool.query("SHOW COLUMNS FROM activities LIKE 'actual_start_time'");
+  if (actualStartColumn.length === 0) {
+    await pool.query("ALTER TABLE activities ADD COLUMN actual_start_time DATETIME NULL AFTER materials");
+  }
+
+  const [actualEndColumn] = await pool.query("SHOW COLUMNS FROM activities LIKE 'actual_end_time'");
+  if (actualEndColumn.length === 0) {
+    await pool.query("ALTER TABLE activities ADD COLUMN actual_end_time DATETIME NULL AFTER actual_start_time");
+  }
+
+  await pool.query('ALTER TABLE activities ADD COLUMN IF NOT EXISTS deleted_at DATETIME NULL AFTER actual_end_time;');
+  await pool.query('ALTER TABLE activities ADD COLUMN IF NOT EXISTS deleted_by INT NULL AFTER deleted_at;');
+  await pool.query('ALTER TABLE activities MODIFY COLUMN format VARCHAR(50) NOT NULL;');
+  await pool.query(
+    "ALTER TABLE course_history MODIFY COLUMN action ENUM('create', 'update', 'move', 'timing', 'delete', 'restore', 'undo') NOT NULL;"
+  );
+  await pool.query('ALTER TABLE half_days ADD COLUMN IF NOT EXISTS notes TEXT NULL AFTER status_reason;');
+
+  const [shareTokenColumn] = await pool.query("SHOW COLUMNS FROM course_share_links LIKE 'token'");
+  if (shareTokenColumn.length > 0) {
+    await pool.query('ALTER TABLE course_share_links ADD COLUMN IF NOT EXISTS token_hash CHAR(64) NULL AFTER course_id');
+    await pool.query('UPDATE course_share_links SET token_hash = SHA2(token, 256) WHERE token_hash IS NULL');
+    await pool.query('ALTER TABLE course_share_links MODIFY COLUMN token_hash CHAR(64) NOT NULL, ADD UNIQUE INDEX uq_course_share_links_token_hash (token_hash)');
+    await pool.query('ALTER TABLE course_share_links DROP COLUMN token');
+  }
+
+  const fullTextIndexes = [
+    ['courses', 'ft_courses_search', 'module_name, module_number, general_objective, particularites'],
+    ['half_days', 'ft_half_days_notes', 'notes'],
+    ['activities', 'ft_activities_search', 'specific_objective, description, materials']
+  ];
+  for (const [tableName, indexName, columns] of fullTextIndexes) {
+    const [indexes] = await pool.query(`SHOW INDEX FROM ${tableName} WHERE Key_name = ?`, [indexName]);
+    if (indexes.length === 0) {
+      await pool.query(`ALTER TABLE ${tableName} ADD FULLTEXT INDEX ${indexName} (${columns})`);
+    }
+  }
+}
+
+async function addCourseOwner(courseId, teacherId, connection = pool) {
+  await connection.query(
+    "INSERT INTO course_members (course_id, teacher_id, role) VALUES (?, ?, 'owner')",
+    [courseId, teacherId]
+  );
+}
+
+async function ensureCourseOwners() {
+  await pool.query(
+    `INSERT INTO course_members (course_id, teacher_id, role)
+     SELECT c.id, c.teacher_id, 'owner'
+     FROM courses c
+     WHERE c.teacher_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM course_members m WHERE m.course_id = c.id)`
+  );
+}
+
+async function ensureDefaultCourse(defaultTeacherId) {
+  const [existing] = await pool.query(
+    'SELECT id FROM courses WHERE module_number = ? LIMIT 1',
+    [defaultCourse.moduleNumber]
+  );
+
+  if (existing.length > 0) {
+    await ensureHalfDaysForCourse(existing[0].id);
+    return existing[0].id;
+  }
+
+  const [result] = await pool.query(
+    `INSERT INTO courses (teacher_id, teacher, class, room, room_id, module_number, module_name, general_objective, start_date, start_period)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      defaultTeacherId,
+      defaultCourse.teacher,
+      defaultCourse.className,
+      defaultCourse.room,
+      await resolveRoomId(pool, defaultCourse.room, defaultTeacherId),
+      defaultCourse.moduleNumber,
+      defaultCourse.moduleName,
+      defaultCourse.generalObjective,
+      defaultCourse.startDate,
+      defaultCourse.startPeriod
+    ]
+  );
+
+  await addCourseOwner(result.insertId, defaultTeacherId);
+  await ensureHalfDaysForCourse(result.insertId, defaultTeacherId);
+
+  return result.insertId;
+}
+
+async function ensureCourseExists(courseId, teacherId) {
+  const [existing] = await pool.query(
+    `SELECT m.course_id
+     FROM course_members m
+     INNER JOIN courses c ON m.course_id = c.id
+     WHERE m.course_id = ? AND m.teacher_id = ? AND c.deleted_at IS NULL
+     LIMIT 1`,
+    [courseId, teacherId]
+  );
+
+  return existing.length > 0;
+}
+
+async function purgeExpiredTrash() {
+  const [courseResult] = await pool.query(
+    'DELETE FROM courses WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ? DAY',
+    [trashRetentionDays]
+  );
+  const [activityResult] = await pool.query(
+    'DELETE FROM activities WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ? DAY',
+    [trashRetentionDays]
+  );
+
+  const purgedCount = courseResult.affectedRows + activityResult.affectedRows;
+  if (purgedCount > 0) {
+    console.log(`Corbeille : ${purgedCount} élément(s) supprimé(s) définitivement.`);
+  }
+
+  const removedFileCount = await removeOrphanAttachmentFiles();
+  if (removedFileCount > 0) {
+    console.log(`Pièces jointes : ${removedFileCount} fichier(s) orphelin(s) supprimé(s).`);
+  }
+}
+
+function getTrashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+app.get('/api/status', async (_req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.json({ database: true });
+  } catch (error) {
+    console.error('Database connection check failed:', error.message);
+    res.status(503).json({
+      database: false,
+      error: 'Impossible de se connecter à la base de données.'
+    });
+  }
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  res.status(403).json({ error: 'La création de compte est désactivée. Veuillez contacter votre administrateur.' });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email et mot de passe sont requis.' });
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const teacher = await getTeacherByEmail(normalizedEmail);
+
+    if (!teacher || !verifyPassword(String(password), teacher.passwordHash)) {
+      return res.status(401).json({ error: 'Identifiants invalides.' });
+    }
+
+    if (!teacher.isActive) {
+      return res.status(403).json({ error: 'Ce compte est désactivé. Contactez votre administrateur.' });
+    }
+
+    setAuthCookie(res, { id: teacher.id, email: teacher.email, name: teacher.displayName, version: teacher.tokenVersion });
+    res.json({ id: teacher.id, email: teacher.email, displayName: teacher.displayName, isAdmin: Boolean(teacher.isAdmin) });
+  } catch (error) {
+    console.error('Erreur lors de la connexion :', error.message);
+    res.status(500).json({ error: 'Impossible de se connecter pour le moment.' });
+  }
+});
+
+app.post('/api/auth/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Le mot de passe actuel et le nouveau mot de passe sont requis.' });
+    }
+
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({ error: `Le mot de passe doit contenir au moins ${minPasswordLength} caractères.` });
+    }
+
+    const teacher = await getTeacherByEmail(req.user.email);
+    if (!teacher || !verifyPassword(String(currentPassword), teacher.passwordHash)) {
+      return res.status(400).json({ error: 'Le mot de passe actuel est incorrect.' });
+    }
+
+    await pool.query('UPDATE teachers SET password_hash = ?, token_version = token_version + 1 WHERE id = ?', [
+      hashPassword(newPassword),
+      teacher.id
+    ]);
+    await pool.query('DELETE FROM password_reset_tokens WHERE teacher_id = ? AND used_at IS NULL', [teacher.id]);
+
+    setAuthCookie(res, {
+      id: teacher.id,
+      email: teacher.email,
+      name: teacher.displayName,
+      version: teacher.tokenVersion + 1
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors du changement de mot de passe :', error.message);
+    res.status(500).json({ error: 'Impossible de changer le mot de passe pour le moment.' });
+  }
+});
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!mailConfig.baseUrl) {
+      return res.status(503).json({
+        error: "La réinitialisation par e-mail n'est pas configurée : contactez un administrateur."
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "L'adresse e-mail est invalide." });
+    }
+
+    const teacher = await getTeacherByEmail(email.trim().toLowerCase());
+
+    if (teacher && teacher.isActive) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await pool.query('DELETE FROM password_reset_tokens WHERE teacher_id = ? AND used_at IS NULL', [teacher.id]);
+      await pool.query(
+        `INSERT INTO password_reset_tokens (teacher_id, token_hash, expires_at)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [teacher.id, hashToken(token), Math.round(passwordResetTtlMs / 1000)]
+      );
+
+      await mailer.send({
+        to: teacher.email,
+        subject: 'Coursio - Réinitialisation de votre mot de passe',
+        text: [
+          `Bonjour ${teacher.displayName},`,
+          '',
+          'Une réinitialisation de votre mot de passe Coursio a été demandée.',
+          'Ouvrez le lien suivant pour choisir un nouveau mot de passe (valable 1 heure, utilisable une seule fois) :',
+          '',
+          `${mailConfig.baseUrl}/?reset=${token}`,
+          '',
+          "Si vous n'êtes pas à l'origine de cette demande, ignorez simplement ce message."
+        ].join('\n')
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la demande de réinitialisation :', error.message);
+    res.status(500).json({ error: "Impossible d'envoyer l'e-mail de réinitialisation pour le moment." });
+  }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'Le lien de réinitialisation est invalide.' });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ error: `Le mot de passe doit contenir au moins ${minPasswordLength} caractères.` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [tokens] = await connection.query(
+        `SELECT r.id, r.teacher_id AS teacherId
+         FROM password_reset_tokens r
+         INNER JOIN teachers t ON r.teacher_id = t.id
+         WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW() AND t.is_active = 1
+         LIMIT 1
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+
+      if (tokens.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Ce lien de réinitialisation est invalide ou a expiré.' });
+      }
+
+      await connection.query('UPDATE teachers SET password_hash = ?, token_version = token_version + 1 WHERE id = ?', [
+        hashPassword(password),
+        tokens[0].teacherId
+      ]);
+      await connection.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [tokens[0].id]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe :', error.message);
+    res.status(500).json({ error: 'Impossible de réinitialiser le mot de passe pour le moment.' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.clearCookie('auth_token');
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ id: req.user.id, email: req.user.email, displayName: req.user.name, isAdmin: req.user.isAdmin });
+});
+
+app.get('/api/admin/teachers', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT t.id, t.email, t.display_name AS displayName, t.is_admin AS isAdmin, t.is_active AS isActive,
+              t.created_at AS createdAt, COUNT(c.id) AS courseCount
+       FROM teachers t
+       LEFT JOIN course_members m ON m.teacher_id = t.id AND m.role = 'owner'
+       LEFT JOIN courses c ON c.id = m.course_id AND c.deleted_at IS NULL
+       GROUP BY t.id
+       ORDER BY t.display_name, t.email`
+    );
+
+    res.json(
+      rows.map((row) => ({
+        ...row,
+        isAdmin: Boolean(row.isAdmin),
+        isActive: Boolean(row.isActive),
+        courseCount: Number(row.courseCount)
+      }))
+    );
+  } catch (error) {
+    console.error('Erreur lors de la récupération des enseignants :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les enseignants pour le moment.' });
+  }
+});
+
+app.post('/api/admin/teachers', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { email, displayName, password, isAdmin } = req.body || {};
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "L'adresse e-mail est invalide." });
+    }
+
+    if (!displayName || !String(displayName).trim()) {
+      return res.status(400).json({ error: 'Le nom affiché est requis.' });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ error: `Le mot de passe doit contenir au moins ${minPasswordLength} caractères.` });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await getTeacherByEmail(normalizedEmail)) {
+      return res.status(409).json({ error: 'Un compte existe déjà pour cette adresse e-mail.' });
+    }
+
+    const teacher = await createTeacher({
+      email: normalizedEmail,
+      displayName: String(displayName).trim(),
+      password,
+      isAdmin: isAdmin === true
+    });
+
+    res.status(201).json({ ...teacher, isActive: true, courseCount: 0 });
+  } catch (error) {
+    console.error("Erreur lors de la création de l'enseignant :", error.message);
+    res.status(500).json({ error: "Impossible de créer l'enseignant pour le moment." });
+  }
+});
+
+app.patch('/api/admin/teachers/:teacherId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const teacherId = Number(req.params.teacherId);
+    const { displayName, isActive, isAdmin } = req.body || {};
+
+    if (!Number.isInteger(teacherId) || teacherId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'enseignant invalide." });
+    }
+
+    const teacher = await getTeacherById(teacherId);
+    if (!teacher) {
+      return res.status(404).json({ error: 'Enseignant introuvable.' });
+    }
+
+    if (displayName !== undefined && !String(displayName).trim()) {
+      return res.status(400).json({ error: 'Le nom affiché ne peut pas être vide.' });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: "L'état du compte est invalide." });
+    }
+
+    if (isAdmin !== undefined && typeof isAdmin !== 'boolean') {
+      return res.status(400).json({ error: 'Le rôle administrateur est invalide.' });
+    }
+
+    if (teacherId === req.user.id && (isActive === false || isAdmin === false)) {
+      return res.status(400).json({ error: 'Vous ne pouvez pas désactiver ni rétrograder votre propre compte.' });
+    }
+
+    const updatedTeacher = {
+      displayName: displayName !== undefined ? String(displayName).trim() : teacher.displayName,
+      isActive: isActive !== undefined ? isActive : teacher.isActive,
+      isAdmin: isAdmin !== undefined ? isAdmin : teacher.isAdmin
+    };
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('UPDATE teachers SET display_name = ?, is_active = ?, is_admin = ? WHERE id = ?', [
+        updatedTeacher.displayName,
+        updatedTeacher.isActive ? 1 : 0,
+        updatedTeacher.isAdmin ? 1 : 0,
+        teacherId
+      ]);
+
+      if (updatedTeacher.displayName !== teacher.displayName) {
+        await connection.query('UPDATE courses SET teacher = ? WHERE teacher_id = ?', [updatedTeacher.displayName, teacherId]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ id: teacherId, email: teacher.email, ...updatedTeacher });
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour de l'enseignant :", error.message);
+    res.status(500).json({ error: "Impossible de mettre à jour l'enseignant pour le moment." });
+  }
+});
+
+app.post('/api/admin/teachers/:teacherId/password', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const teacherId = Number(req.params.teacherId);
+    const { password } = req.body || {};
+
+    if (!Number.isInteger(teacherId) || teacherId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'enseignant invalide." });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ error: `Le mot de passe doit contenir au moins ${minPasswordLength} caractères.` });
+    }
+
+    const [result] = await pool.query(
+      'UPDATE teachers SET password_hash = ?, token_version = token_version + 1 WHERE id = ?',
+      [hashPassword(password), teacherId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Enseignant introuvable.' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe :', error.message);
+    res.status(500).json({ error: 'Impossible de réinitialiser le mot de passe pour le moment.' });
+  }
+});
+
+app.get('/api/formats', requireAuth, async (req, res) => {
+  try {
+    const formats = await refreshActivityFormats();
+    res.json({
+      icons: activityFormatIcons,
+      formats: formats.map((format) => ({ ...format, canEdit: canEditActivityFormat(format, req.user) }))
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des formes de travail :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les formes de travail pour le moment.' });
+  }
+});
+
+app.post('/api/formats', requireAuth, async (req, res) => {
+  try {
+    const { format, error } = normalizeActivityFormat(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const formats = await refreshActivityFormats();
+    if (formats.some((existing) => existing.label.toLowerCase() === format.label.toLowerCase())) {
+      return res.status(409).json({ error: `La forme de travail « ${format.label} » existe déjà.` });
+    }
+
+    const baseCode = slugifyFormatCode(format.label);
+    let code = baseCode;
+    for (let suffix = 2; activityFormats.has(code); suffix += 1) {
+      code = `${baseCode}_${suffix}`;
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO activity_formats (code, label, color, icon, is_evaluation, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [code, format.label, format.color, format.icon, format.isEvaluation ? 1 : 0, req.user.id]
+    );
+    await refreshActivityFormats();
+
+    res.status(201).json({ id: result.insertId, code, ...format, isDefault: false, activityCount: 0, canEdit: true });
+  } catch (error) {
+    console.error('Erreur lors de la création de la forme de travail :', error.message);
+    res.status(500).json({ error: 'Impossible de créer la forme de travail pour le moment.' });
+  }
+});
+
+app.patch('/api/formats/:formatId', requireAuth, async (req, res) => {
+  try {
+    const formatId = Number(req.params.formatId);
+
+    if (!Number.isInteger(formatId) || formatId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de forme de travail invalide.' });
+    }
+
+    const { format, error } = normalizeActivityFormat(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const formats = await refreshActivityFormats();
+    const existingFormat = formats.find((existing) => existing.id === formatId);
+    if (!existingFormat) {
+      return res.status(404).json({ error: 'Forme de travail introuvable.' });
+    }
+
+    if (!canEditActivityFormat(existingFormat, req.user)) {
+      return res.status(403).json({ error: 'Seuls son auteur et les administrateurs peuvent modifier cette forme de travail.' });
+    }
+
+    if (formats.some((other) => other.id !== formatId && other.label.toLowerCase() === format.label.toLowerCase())) {
+      return res.status(409).json({ error: `La forme de travail « ${format.label} » existe déjà.` });
+    }
+
+    await pool.query('UPDATE activity_formats SET label = ?, color = ?, icon = ?, is_evaluation = ? WHERE id = ?', [
+      format.label,
+      format.color,
+      format.icon,
+      format.isEvaluation ? 1 : 0,
+      formatId
+    ]);
+    await refreshActivityFormats();
+
+    res.json({ ...existingFormat, ...format, canEdit: true });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la forme de travail :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour la forme de travail pour le moment.' });
+  }
+});
+
+app.delete('/api/formats/:formatId', requireAuth, async (req, res) => {
+  try {
+    const formatId = Number(req.params.formatId);
+
+    if (!Number.isInteger(formatId) || formatId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de forme de travail invalide.' });
+    }
+
+    const formats = await refreshActivityFormats();
+    const existingFormat = formats.find((existing) => existing.id === formatId);
+    if (!existingFormat) {
+      return res.status(404).json({ error: 'Forme de travail introuvable.' });
+    }
+
+    if (!canEditActivityFormat(existingFormat, req.user)) {
+      return res.status(403).json({ error: 'Seuls son auteur et les administrateurs peuvent supprimer cette forme de travail.' });
+    }
+
+    if (existingFormat.activityCount > 0) {
+      return res.status(409).json({
+        error: `Cette forme de travail est utilisée par ${existingFormat.activityCount} activité(s), y compris dans la corbeille.`
+      });
+    }
+
+    await pool.query('DELETE FROM activity_formats WHERE id = ?', [formatId]);
+    await refreshActivityFormats();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la forme de travail :', error.message);
+    res.status(500).json({ error: 'Impossible de supprimer la forme de travail pour le moment.' });
+  }
+});
+
+app.get('/api/equipment', requireAuth, async (req, res) => {
+  try {
+    const items = await listEquipmentItems();
+    res.json({
+      maxQuantity: equipmentLimits.maxQuantity,
+      items: items.map((item) => ({ ...item, canEdit: canEditEquipmentItem(item, req.user) }))
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'inventaire :", error.message);
+    res.status(500).json({ error: "Impossible de récupérer l'inventaire pour le moment." });
+  }
+});
+
+app.post('/api/equipment', requireAuth, async (req, res) => {
+  try {
+    const { item, error } = normalizeEquipmentItem(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const items = await listEquipmentItems();
+    if (items.some((existing) => existing.name.toLowerCase() === item.name.toLowerCase())) {
+      return res.status(409).json({ error: `L'équipement « ${item.name} » existe déjà.` });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO equipment_items (name, description, quantity, created_by) VALUES (?, ?, ?, ?)',
+      [item.name, item.description, item.quantity, req.user.id]
+    );
+
+    res.status(201).json({ id: result.insertId, ...item, createdBy: req.user.id, activityCount: 0, canEdit: true });
+  } catch (error) {
+    console.error("Erreur lors de la création de l'équipement :", error.message);
+    res.status(500).json({ error: "Impossible de créer l'équipement pour le moment." });
+  }
+});
+
+app.patch('/api/equipment/:equipmentId', requireAuth, async (req, res) => {
+  try {
+    const equipmentId = Number(req.params.equipmentId);
+
+    if (!Number.isInteger(equipmentId) || equipmentId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'équipement invalide." });
+    }
+
+    const { item, error } = normalizeEquipmentItem(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const items = await listEquipmentItems();
+    const existingItem = items.find((existing) => existing.id === equipmentId);
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Équipement introuvable.' });
+    }
+
+    if (!canEditEquipmentItem(existingItem, req.user)) {
+      return res.status(403).json({ error: 'Seuls son auteur et les administrateurs peuvent modifier cet équipement.' });
+    }
+
+    if (items.some((other) => other.id !== equipmentId && other.name.toLowerCase() === item.name.toLowerCase())) {
+      return res.status(409).json({ error: `L'équipement « ${item.name} » existe déjà.` });
+    }
+
+    await pool.query('UPDATE equipment_items SET name = ?, description = ?, quantity = ? WHERE id = ?', [
+      item.name,
+      item.description,
+      item.quantity,
+      equipmentId
+    ]);
+
+    res.json({ ...existingItem, ...item, canEdit: true });
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour de l'équipement :", error.message);
+    res.status(500).json({ error: "Impossible de mettre à jour l'équipement pour le moment." });
+  }
+});
+
+app.delete('/api/equipment/:equipmentId', requireAuth, async (req, res) => {
+  try {
+    const equipmentId = Number(req.params.equipmentId);
+
+    if (!Number.isInteger(equipmentId) || equipmentId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'équipement invalide." });
+    }
+
+    const items = await listEquipmentItems();
+    const existingItem = items.find((existing) => existing.id === equipmentId);
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Équipement introuvable.' });
+    }
+
+    if (!canEditEquipmentItem(existingItem, req.user)) {
+      return res.status(403).json({ error: 'Seuls son auteur et les administrateurs peuvent supprimer cet équipement.' });
+    }
+
+    if (existingItem.activityCount > 0) {
+      return res.status(409).json({
+        error: `Cet équipement est réservé par ${existingItem.activityCount} activité(s), y compris dans la corbeille.`
+      });
+    }
+
+    await pool.query('DELETE FROM equipment_items WHERE id = ?', [equipmentId]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Erreur lors de la suppression de l'équipement :", error.message);
+    res.status(500).json({ error: "Impossible de supprimer l'équipement pour le moment." });
+  }
+});
+
+app.get('/api/equipment/:equipmentId/agenda', requireAuth, async (req, res) => {
+  try {
+    const equipmentId = Number(req.params.equipmentId);
+
+    if (!Number.isInteger(equipmentId) || equipmentId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'équipement invalide." });
+    }
+
+    const from = req.query.from === undefined ? toIsoDateString(new Date()) : req.query.from;
+    if (!isValidDateString(from)) {
+      return res.status(400).json({ error: 'La date de début doit être au format AAAA-MM-JJ.' });
+    }
+
+    const [items] = await pool.query('SELECT id, name, description, quantity FROM equipment_items WHERE id = ? LIMIT 1', [
+      equipmentId
+    ]);
+    if (items.length === 0) {
+      return res.status(404).json({ error: 'Équipement introuvable.' });
+    }
+
+    const agenda = await listEquipmentBookings(pool, '', 'ae.equipment_id = ? AND h.session_date >= ?', [equipmentId, from]);
+
+    res.json({
+      item: items[0],
+      from,
+      agenda,
+      overbookedCount: agenda.filter((entry) => entry.overbooked).length
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'agenda de l'équipement :", error.message);
+    res.status(500).json({ error: "Impossible de récupérer l'agenda de cet équipement pour le moment." });
+  }
+});
+
+app.get('/api/rooms', requireAuth, async (req, res) => {
+  try {
+    const rooms = await listRooms();
+    res.json({ rooms: rooms.map((room) => ({ ...room, canEdit: canEditRoom(room, req.user) })) });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des salles :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les salles pour le moment.' });
+  }
+});
+
+app.post('/api/rooms', requireAuth, async (req, res) => {
+  try {
+    const { room, error } = normalizeRoom(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rooms = await listRooms();
+    if (rooms.some((existing) => existing.name.toLowerCase() === room.name.toLowerCase())) {
+      return res.status(409).json({ error: `La salle « ${room.name} » existe déjà.` });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO rooms (name, description, is_virtual, created_by) VALUES (?, ?, ?, ?)',
+      [room.name, room.description, room.isVirtual ? 1 : 0, req.user.id]
+    );
+
+    res.status(201).json({ id: result.insertId, ...room, createdBy: req.user.id, courseCount: 0, canEdit: true });
+  } catch (error) {
+    console.error('Erreur lors de la création de la salle :', error.message);
+    res.status(500).json({ error: 'Impossible de créer la salle pour le moment.' });
+  }
+});
+
+app.patch('/api/rooms/:roomId', requireAuth, async (req, res) => {
+  try {
+    const roomId = Number(req.params.roomId);
+
+    if (!Number.isInteger(roomId) || roomId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de salle invalide.' });
+    }
+
+    const { room, error } = normalizeRoom(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rooms = await listRooms();
+    const existingRoom = rooms.find((existing) => existing.id === roomId);
+    if (!existingRoom) {
+      return res.status(404).json({ error: 'Salle introuvable.' });
+    }
+
+    if (!canEditRoom(existingRoom, req.user)) {
+      return res.status(403).json({ error: 'Seuls son auteur et les administrateurs peuvent modifier cette salle.' });
+    }
+
+    if (rooms.some((other) => other.id !== roomId && other.name.toLowerCase() === room.name.toLowerCase())) {
+      return res.status(409).json({ error: `La salle « ${room.name} » existe déjà.` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query('UPDATE rooms SET name = ?, description = ?, is_virtual = ? WHERE id = ?', [
+        room.name,
+        room.description,
+        room.isVirtual ? 1 : 0,
+        roomId
+      ]);
+      await connection.query('UPDATE courses SET room = ? WHERE room_id = ?', [room.name, roomId]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ ...existingRoom, ...room, canEdit: true });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la salle :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour la salle pour le moment.' });
+  }
+});
+
+app.delete('/api/rooms/:roomId', requireAuth, async (req, res) => {
+  try {
+    const roomId = Number(req.params.roomId);
+
+    if (!Number.isInteger(roomId) || roomId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de salle invalide.' });
+    }
+
+    const rooms = await listRooms();
+    const existingRoom = rooms.find((existing) => existing.id === roomId);
+    if (!existingRoom) {
+      return res.status(404).json({ error: 'Salle introuvable.' });
+    }
+
+    if (!canEditRoom(existingRoom, req.user)) {
+      return res.status(403).json({ error: 'Seuls son auteur et les administrateurs peuvent supprimer cette salle.' });
+    }
+
+    if (existingRoom.courseCount > 0) {
+      return res.status(409).json({
+        error: `Cette salle est attribuée à ${existingRoom.courseCount} cours, y compris dans la corbeille.`
+      });
+    }
+
+    await pool.query('DELETE FROM rooms WHERE id = ?', [roomId]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la salle :', error.message);
+    res.status(500).json({ error: 'Impossible de supprimer la salle pour le moment.' });
+  }
+});
+
+app.get('/api/rooms/:roomId/occupancy', requireAuth, async (req, res) => {
+  try {
+    const roomId = Number(req.params.roomId);
+
+    if (!Number.isInteger(roomId) || roomId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de salle invalide.' });
+    }
+
+    const from = req.query.from === undefined ? toIsoDateString(new Date()) : req.query.from;
+    if (!isValidDateString(from)) {
+      return res.status(400).json({ error: 'La date de début doit être au format AAAA-MM-JJ.' });
+    }
+
+    const to = req.query.to === undefined ? addDaysToIsoDate(from, 27) : req.query.to;
+    if (!isValidDateString(to)) {
+      return res.status(400).json({ error: 'La date de fin doit être au format AAAA-MM-JJ.' });
+    }
+
+    if (to < from || to > addDaysToIsoDate(from, 366)) {
+      return res.status(400).json({ error: 'La période demandée doit se terminer après son début et couvrir au plus un an.' });
+    }
+
+    const [rooms] = await pool.query(
+      'SELECT id, name, description, is_virtual AS isVirtual FROM rooms WHERE id = ? LIMIT 1',
+      [roomId]
+    );
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Salle introuvable.' });
+    }
+
+    const room = { ...rooms[0], isVirtual: Boolean(rooms[0].isVirtual) };
+    const [rows] = await pool.query(
+      `SELECT h.session_date AS sessionDate, h.period, h.week_number AS weekNumber, h.status, c.id AS courseId,
+              c.module_number AS moduleNumber, c.module_name AS moduleName, c.class AS className, c.teacher AS teacherName
+       FROM half_days h
+       INNER JOIN courses c ON h.course_id = c.id
+       WHERE c.room_id = ? AND c.deleted_at IS NULL AND h.session_date BETWEEN ? AND ? AND h.status NOT IN (?)
+       ORDER BY h.session_date, h.period, c.module_number`,
+      [roomId, from, to, roomFreeHalfDayStatuses]
+    );
+    const occupancy = groupRoomOccupancy(rows, room);
+
+    res.json({
+      room,
+      from,
+      to,
+      occupancy,
+      conflictCount: occupancy.filter((entry) => entry.conflict).length
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'occupation de la salle :", error.message);
+    res.status(500).json({ error: "Impossible de récupérer l'occupation de cette salle pour le moment." });
+  }
+});
+
+app.get('/api/agenda', requireAuth, async (req, res) => {
+  try {
+    const from = req.query.from === undefined ? toIsoDateString(new Date()) : req.query.from;
+    if (!isValidDateString(from)) {
+      return res.status(400).json({ error: 'La date de début doit être au format AAAA-MM-JJ.' });
+    }
+
+    const to = req.query.to === undefined ? addDaysToIsoDate(from, 6) : req.query.to;
+    if (!isValidDateString(to)) {
+      return res.status(400).json({ error: 'La date de fin doit être au format AAAA-MM-JJ.' });
+    }
+
+    if (to < from || to > addDaysToIsoDate(from, 92)) {
+      return res.status(400).json({ error: 'La période demandée doit se terminer après son début et couvrir au plus trois mois.' });
+    }
+
+    const [halfDayRows] = await pool.query(
+      `SELECT h.id AS halfDayId, h.week_number AS weekNumber, h.slot_index AS slotIndex, h.session_date AS sessionDate,
+              h.period, h.status, h.status_reason AS statusReason, c.id AS courseId, c.module_number AS moduleNumber,
+              c.module_name AS moduleName, c.class AS className, c.room, c.period_limits AS periodLimits,
+              c.period_breaks AS periodBreaks, c.strict_capacity AS strictCapacity
+       FROM half_days h
+       INNER JOIN courses c ON h.course_id = c.id
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ? AND m.role = 'owner'
+       WHERE c.deleted_at IS NULL AND h.session_date BETWEEN ? AND ?`,
+      [req.user.id, from, to]
+    );
+
+    let activityRows = [];
+    if (halfDayRows.length > 0) {
+      [activityRows] = await pool.query(
+        `SELECT a.half_day_id AS halfDayId, a.specific_objective AS name, a.format, a.duration_minutes AS duration
+         FROM activities a
+         WHERE a.half_day_id IN (?) AND a.deleted_at IS NULL
+         ORDER BY a.half_day_id, a.position IS NULL, a.position, a.id`,
+        [halfDayRows.map((row) => row.halfDayId)]
+      );
+    }
+
+    res.json({ from, to, ...buildTeacherAgenda(halfDayRows, activityRows) });
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'agenda :", error.message);
+    res.status(500).json({ error: "Impossible de récupérer l'agenda pour le moment." });
+  }
+});
+
+app.get('/api/search', requireAuth, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length > searchLimits.maxQueryLength) {
+      return res
+        .status(400)
+        .json({ error: `La recherche ne peut pas dépasser ${searchLimits.maxQueryLength} caractères.` });
+    }
+
+    const fullTextQuery = buildFullTextQuery(query);
+    if (!fullTextQuery) {
+      return res
+        .status(400)
+        .json({ error: 'Saisissez au moins un mot pour lancer la recherche.' });
+    }
+
+    const { terms } = fullTextQuery;
+    const courseSearch = buildSearchCondition(
+      'c.module_name, c.module_number, c.general_objective, c.particularites',
+      fullTextQuery
+    );
+    const halfDaySearch = buildSearchCondition('h.notes', fullTextQuery);
+    const activitySearch = buildSearchCondition('a.specific_objective, a.description, a.materials', fullTextQuery);
+    const courseColumns = 'c.id AS courseId, c.module_number AS moduleNumber, c.module_name AS moduleName, c.class AS className';
+    const [courseRows] = await pool.query(
+      `SELECT ${courseColumns}, c.general_objective AS generalObjective, c.particularites,
+              ${courseSearch.score} AS score
+       FROM courses c
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ?
+       WHERE c.deleted_at IS NULL AND ${courseSearch.condition}
+       ORDER BY score DESC
+       LIMIT ?`,
+      [...courseSearch.scoreParams, req.user.id, ...courseSearch.conditionParams, searchLimits.maxResults]
+    );
+    const [halfDayRows] = await pool.query(
+      `SELECT ${courseColumns}, h.id AS halfDayId, h.week_number AS weekNumber, h.slot_index AS slotIndex,
+              h.session_date AS sessionDate, h.period, h.notes,
+              ${halfDaySearch.score} AS score
+       FROM half_days h
+       INNER JOIN courses c ON h.course_id = c.id
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ?
+       WHERE c.deleted_at IS NULL AND ${halfDaySearch.condition}
+       ORDER BY score DESC
+       LIMIT ?`,
+      [...halfDaySearch.scoreParams, req.user.id, ...halfDaySearch.conditionParams, searchLimits.maxResults]
+    );
+    const [activityRows] = await pool.query(
+      `SELECT ${courseColumns}, a.id AS activityId, a.specific_objective AS name, a.description, a.materials,
+              h.week_number AS weekNumber, h.slot_index AS slotIndex, h.session_date AS sessionDate, h.period,
+              ${activitySearch.score} AS score
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       INNER JOIN courses c ON h.course_id = c.id
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ?
+       WHERE a.deleted_at IS NULL AND c.deleted_at IS NULL AND ${activitySearch.condition}
+       ORDER BY score DESC
+       LIMIT ?`,
+      [...activitySearch.scoreParams, req.user.id, ...activitySearch.conditionParams, searchLimits.maxResults]
+    );
+
+    const hits = [
+      ...courseRows.map((row) =>
+        buildSearchHit(
+          'course',
+          row,
+          [
+            { label: 'Module', text: `${row.moduleNumber} ${row.moduleName}` },
+            { label: 'Objectif général', text: row.generalObjective },
+            { label: 'Particularités', text: row.particularites }
+          ],
+          terms
+        )
+      ),
+      ...halfDayRows.map((row) =>
+        buildSearchHit('halfDay', row, [{ label: 'Notes de la demi-journée', text: row.notes }], terms, {
+          halfDayId: row.halfDayId
+        })
+      ),
+      ...activityRows.map((row) =>
+        buildSearchHit(
+          'activity',
+          row,
+          [
+            { label: 'Objectif', text: row.name },
+            { label: 'Description', text: row.description },
+            { label: 'Matériel', text: row.materials }
+          ],
+          terms,
+          { activityId: row.activityId, name: row.name }
+        )
+      )
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, searchLimits.maxResults);
+
+    res.json({ query, terms, hits });
+  } catch (error) {
+    console.error('Erreur lors de la recherche :', error.message);
+    res.status(500).json({ error: 'Impossible d’effectuer la recherche pour le moment.' });
+  }
+});
+
+app.get('/api/courses', requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT c.id, c.teacher, c.class AS className, c.room, c.module_number AS moduleNumber, c.module_name AS moduleName,
+              c.general_objective AS generalObjective, c.particularites, c.start_date AS startDate, c.start_period AS startPeriod,
+              c.week_count AS weekCount, c.slots_per_week AS slotsPerWeek, c.weekly_pattern AS weeklyPattern,
+              c.period_limits AS periodLimits, c.period_breaks AS periodBreaks, c.strict_capacity AS strictCapacity,
+              c.created_at AS createdAt, m.role
+       FROM courses c
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE m.teacher_id = ? AND c.deleted_at IS NULL
+       ORDER BY c.created_at DESC`
+      ,
+      [req.user.id]
+    );
+
+    res.json(
+      rows.map((row) => ({ ...row, weeklyPattern: parseWeeklyPattern(row.weeklyPattern), ...getCoursePeriodSettings(row) }))
+    );
+  } catch (error) {
+    console.error('Erreur lors de la récupération des cours :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les cours pour le moment.' });
+  }
+});
+
+app.post('/api/courses', requireAuth, async (req, res) => {
+  try {
+    const {
+      className,
+      room,
+      moduleNumber,
+      moduleName,
+      startDate,
+      startSlot,
+      particularites,
+      generalObjective,
+      weekCount,
+      slotsPerWeek,
+      weeklyPattern
+    } = req.body;
+
+    if (!className || !room || !moduleNumber || !moduleName) {
+      return res.status(400).json({ error: 'Tous les champs du cours sont requis.' });
+    }
+
+    if (!isValidDateString(startDate)) {
+      return res.status(400).json({ error: 'La date de début est invalide.' });
+    }
+
+    const startSlotIndex = Number(startSlot);
+    const notes = typeof particularites === 'string' ? particularites.trim() : '';
+    const objective = typeof generalObjective === 'string' ? generalObjective.trim() : '';
+    const startPeriod = slotToPeriod[startSlotIndex];
+
+    if (!startPeriod) {
+      return res.status(400).json({ error: 'La demi-journée de début est invalide.' });
+    }
+
+    const courseWeekCount = weekCount === undefined ? courseLayoutLimits.defaultWeeks : Number(weekCount);
+    if (!isValidWeekCount(courseWeekCount)) {
+      return res.status(400).json({
+        error: `Le nombre de semaines doit être compris entre ${courseLayoutLimits.minWeeks} et ${courseLayoutLimits.maxWeeks}.`
+      });
+    }
+
+    const hasWeeklyPattern = weeklyPattern !== undefined && weeklyPattern !== null;
+    const normalizedPattern = hasWeeklyPattern ? normalizeWeeklyPattern(weeklyPattern) : null;
+    if (hasWeeklyPattern && !normalizedPattern) {
+      return res.status(400).json({ error: 'Le rythme hebdomadaire est invalide.' });
+    }
+
+    let courseSlotsPerWeek = slotsPerWeek === undefined ? courseLayoutLimits.defaultSlotsPerWeek : Number(slotsPerWeek);
+    if (normalizedPattern) {
+      courseSlotsPerWeek = normalizedPattern.length;
+    }
+
+    if (!isValidSlotsPerWeek(courseSlotsPerWeek)) {
+      return res.status(400).json({
+        error: `Le nombre de demi-journées par semaine doit être compris entre ${courseLayoutLimits.minSlotsPerWeek} et ${courseLayoutLimits.maxSlotsPerWeek}.`
+      });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO courses (teacher_id, teacher, class, room, room_id, module_number, module_name, general_objective, particularites, start_date,
+                            start_period, week_count, slots_per_week, weekly_pattern)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)` ,
+      [
+        req.user.id,
+        req.user.name,
+        className.trim(),
+        room.trim(),
+        await resolveRoomId(pool, room.trim(), req.user.id),
+        moduleNumber.trim(),
+        moduleName.trim(),
+        objective,
+        notes,
+        startDate,
+        startPeriod,
+        courseWeekCount,
+        courseSlotsPerWeek,
+        normalizedPattern ? JSON.stringify(normalizedPattern) : null
+      ]
+    );
+
+    await addCourseOwner(result.insertId, req.user.id);
+    const halfDays = await ensureHalfDaysForCourse(result.insertId, req.user.id);
+    await recordHistory(pool, {
+      courseId: result.insertId,
+      teacherId: req.user.id,
+      entityType: 'course',
+      entityId: result.insertId,
+      action: 'create',
+      summary: 'Cours créé',
+      before: null,
+      after: await getCourseSnapshot(pool, result.insertId)
+    });
+
+    res.status(201).json({ id: result.insertId, roomConflicts: summarizeRoomConflicts(halfDays) });
+  } catch (error) {
+    console.error('Erreur lors de la création du cours :', error.message);
+    res.status(500).json({ error: 'Impossible de créer le cours pour le moment.' });
+  }
+});
+
+app.get('/api/courses/:courseId/export', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    await ensureHalfDaysForCourse(courseId, req.user.id);
+
+    const [halfDays] = await pool.query(
+      `SELECT id, week_number AS weekNumber, slot_index AS slotIndex, session_date AS sessionDate, period,
+              status, status_reason AS statusReason, notes
+       FROM half_days
+       WHERE course_id = ?
+       ORDER BY week_number, slot_index`,
+      [courseId]
+    );
+    const [activities] = await pool.query(
+      `SELECT a.half_day_id AS halfDayId, a.specific_objective AS name, a.description, a.duration_minutes AS duration,
+              a.format, a.materials
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       WHERE h.course_id = ? AND a.deleted_at IS NULL
+       ORDER BY h.week_number, h.slot_index, a.position IS NULL, a.position, a.id`,
+      [courseId]
+    );
+
+    const document = {
+      schemaVersion: courseDocumentSchemaVersion,
+      exportedAt: new Date().toISOString(),
+      course: {
+        moduleNumber: course.moduleNumber,
+        moduleName: course.moduleName,
+        className: course.className,
+        room: course.room,
+        teacher: course.teacher,
+        generalObjective: course.generalObjective || '',
+        particularites: course.particularites || '',
+        startDate: toIsoDateString(course.startDate),
+        startPeriod: course.startPeriod,
+        weekCount: course.weekCount,
+        slotsPerWeek: course.slotsPerWeek,
+        weeklyPattern: course.weeklyPattern
+      },
+      halfDays: halfDays.map((halfDay) => ({
+        weekNumber: halfDay.weekNumber,
+        slotIndex: halfDay.slotIndex,
+        sessionDate: toIsoDateString(halfDay.sessionDate),
+        period: halfDay.period,
+        status: halfDay.status,
+        statusReason: halfDay.statusReason,
+        notes: halfDay.notes,
+        activities: activities
+          .filter((activity) => activity.halfDayId === halfDay.id)
+          .map(({ name, description, duration, format, materials }) => ({
+            name,
+            description,
+            duration,
+            format,
+            materials: materials || ''
+          }))
+      }))
+    };
+
+    const fileName = `${course.moduleNumber}-${course.className}`.replace(/[^\w.-]+/g, '_');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.coursio.json"`);
+    res.json(document);
+  } catch (error) {
+    console.error("Erreur lors de l'export du cours :", error.message);
+    res.status(500).json({ error: "Impossible d'exporter le cours pour le moment." });
+  }
+});
+
+app.post('/api/courses/import', requireAuth, async (req, res) => {
+  let importedCourseId = null;
+
+  try {
+    const content = typeof req.body?.content === 'string' ? req.body.content : JSON.stringify(req.body, null, 2);
+
+    let lines;
+    try {
+      lines = mapJsonLines(content);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Le fichier importé n'est pas un JSON valide.",
+        errors: [{ line: error.line, path: '', message: error.message }]
+      });
+    }
+
+    const document = JSON.parse(content);
+    const validationErrors = validateCourseDocument(document);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Le document importé contient des erreurs.',
+        errors: validationErrors
+          .map((validationError) => ({ line: findJsonLine(lines, validationError.path), ...validationError }))
+          .sort((a, b) => a.line - b.line)
+      });
+    }
+
+    const { course } = document;
+    const weeklyPattern = course.weeklyPattern ? normalizeWeeklyPattern(course.weeklyPattern) : null;
+
+    const [result] = await pool.query(
+      `INSERT INTO courses (teacher_id, teacher, class, room, room_id, module_number, module_name, general_objective, particularites, start_date,
+                            start_period, week_count, slots_per_week, weekly_pattern)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        req.user.name,
+        course.className.trim(),
+        course.room.trim(),
+        await resolveRoomId(pool, course.room.trim(), req.user.id),
+        course.moduleNumber.trim(),
+        course.moduleName.trim(),
+        (course.generalObjective || '').trim(),
+        (course.particularites || '').trim(),
+        course.startDate,
+        course.startPeriod,
+        course.weekCount,
+        course.slotsPerWeek,
+        weeklyPattern ? JSON.stringify(weeklyPattern) : null
+      ]
+    );
+    importedCourseId = result.insertId;
+    await addCourseOwner(importedCourseId, req.user.id);
+
+    const halfDays = await ensureHalfDaysForCourse(importedCourseId, req.user.id);
+    const halfDayIds = new Map(halfDays.map((halfDay) => [`${halfDay.weekNumber}-${halfDay.slotIndex}`, halfDay.id]));
+    let importedActivities = 0;
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const halfDay of document.halfDays) {
+        const halfDayId = halfDayIds.get(`${halfDay.weekNumber}-${halfDay.slotIndex}`);
+        if (!halfDayId) continue;
+
+        const status = halfDay.status ?? 'normal';
+        await connection.query('UPDATE half_days SET status = ?, status_reason = ?, notes = ? WHERE id = ?', [
+          status,
+          status === 'normal' ? null : (halfDay.statusReason || '').trim().slice(0, 255) || null,
+          halfDay.notes || null,
+          halfDayId
+        ]);
+
+        const activities = halfDay.activities ?? [];
+        for (const [position, activity] of activities.entries()) {
+          await connection.query(
+            `INSERT INTO activities (half_day_id, specific_objective, description, duration_minutes, format, materials, position)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+              halfDayId,
+              activity.name.trim(),
+              (activity.description || '').trim() || 'Description à compléter',
+              activity.duration,
+              activity.format,
+              activity.materials ? activity.materials.trim() : null,
+              position + 1
+            ]
+          );
+          importedActivities += 1;
+        }
+      }
+
+      await recordHistory(connection, {
+        courseId: importedCourseId,
+        teacherId: req.user.id,
+        entityType: 'course',
+        entityId: importedCourseId,
+        action: 'create',
+        summary: `Cours importé avec ${importedActivities} activité(s)`,
+        before: null,
+        after: await getCourseSnapshot(connection, importedCourseId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(201).json({ id: importedCourseId, importedActivities });
+  } catch (error) {
+    if (importedCourseId) {
+      await pool.query('DELETE FROM courses WHERE id = ?', [importedCourseId]).catch(() => {});
+    }
+    console.error("Erreur lors de l'import du cours :", error.message);
+    res.status(500).json({ error: "Impossible d'importer le cours pour le moment." });
+  }
+});
+
+app.post('/api/courses/:courseId/clone', requireAuth, async (req, res) => {
+  let clonedCourseId = null;
+
+  try {
+    const courseId = Number(req.params.courseId);
+    const { className, room, startDate, startSlot } = req.body || {};
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (!className || !className.trim() || !room || !room.trim()) {
+      return res.status(400).json({ error: 'La classe et la salle sont requises.' });
+    }
+
+    if (!isValidDateString(startDate)) {
+      return res.status(400).json({ error: 'La date de début est invalide.' });
+    }
+
+    const startPeriod = slotToPeriod[Number(startSlot)];
+    if (!startPeriod) {
+      return res.status(400).json({ error: 'La demi-journée de début est invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO courses (teacher_id, teacher, class, room, room_id, module_number, module_name, general_objective, particularites, start_date,
+                            start_period, week_count, slots_per_week, weekly_pattern, period_limits, period_breaks, strict_capacity)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        req.user.name,
+        className.trim(),
+        room.trim(),
+        await resolveRoomId(pool, room.trim(), req.user.id),
+        course.moduleNumber,
+        course.moduleName,
+        course.generalObjective || '',
+        course.particularites || '',
+        startDate,
+        startPeriod,
+        course.weekCount,
+        course.slotsPerWeek,
+        course.weeklyPattern ? JSON.stringify(course.weeklyPattern) : null,
+        course.customPeriodLimits ? JSON.stringify(course.periodLimits) : null,
+        course.breaks.length > 0 ? JSON.stringify(course.breaks) : null,
+        course.strictCapacity ? 1 : 0
+      ]
+    );
+    clonedCourseId = result.insertId;
+    await addCourseOwner(clonedCourseId, req.user.id);
+
+    const clonedHalfDays = await ensureHalfDaysForCourse(clonedCourseId, req.user.id);
+
+    const halfDayIds = new Map(clonedHalfDays.map((halfDay) => [`${halfDay.weekNumber}-${halfDay.slotIndex}`, halfDay.id]));
+    const [sourceActivities] = await pool.query(
+      `SELECT a.id, h.week_number AS weekNumber, h.slot_index AS slotIndex, a.specific_objective AS name, a.description,
+              a.duration_minutes AS duration, a.format, a.materials, a.position
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       WHERE h.course_id = ? AND a.deleted_at IS NULL
+       ORDER BY h.week_number, h.slot_index, a.position IS NULL, a.position, a.id`,
+      [courseId]
+    );
+    const copiedActivityPairs = [];
+    let copiedAttachmentNames = [];
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const activity of sourceActivities) {
+        const halfDayId = halfDayIds.get(`${activity.weekNumber}-${activity.slotIndex}`);
+        if (!halfDayId) continue;
+
+        const [copy] = await connection.query(
+          `INSERT INTO activities (half_day_id, specific_objective, description, duration_minutes, format, materials, position)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            halfDayId,
+            activity.name,
+            activity.description,
+            activity.duration,
+            activity.format,
+            activity.materials,
+            activity.position
+          ]
+        );
+        copiedActivityPairs.push({ sourceId: activity.id, targetId: copy.insertId });
+      }
+
+      for (const { sourceId, targetId } of copiedActivityPairs) {
+        await connection.query(
+          `INSERT INTO activity_competencies (activity_id, competency_id)
+           SELECT ?, competency_id FROM activity_competencies WHERE activity_id = ?`,
+          [targetId, sourceId]
+        );
+        await connection.query(
+          `INSERT INTO activity_equipment (activity_id, equipment_id, quantity)
+           SELECT ?, equipment_id, quantity FROM activity_equipment WHERE activity_id = ?`,
+          [targetId, sourceId]
+        );
+      }
+      copiedAttachmentNames = await copyActivityAttachments(connection, copiedActivityPairs, req.user.id);
+
+      await recordHistory(connection, {
+        courseId: clonedCourseId,
+        teacherId: req.user.id,
+        entityType: 'course',
+        entityId: clonedCourseId,
+        action: 'create',
+        summary: `Cours dupliqué depuis ${course.moduleNumber} (${course.className})`,
+        before: null,
+        after: await getCourseSnapshot(connection, clonedCourseId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      await removeAttachmentFiles(copiedAttachmentNames);
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(201).json({
+      id: clonedCourseId,
+      copiedActivities: copiedActivityPairs.length,
+      roomConflicts: summarizeRoomConflicts(clonedHalfDays)
+    });
+  } catch (error) {
+    if (clonedCourseId) {
+      await pool.query('DELETE FROM courses WHERE id = ?', [clonedCourseId]).catch(() => {});
+    }
+    console.error('Erreur lors de la duplication du cours :', error.message);
+    res.status(500).json({ error: 'Impossible de dupliquer le cours pour le moment.' });
+  }
+});
+
+app.patch('/api/courses/:courseId', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const {
+      className,
+      room,
+      moduleNumber,
+      moduleName,
+      particularites,
+      generalObjective,
+      weekCount,
+      slotsPerWeek,
+      confirmShrink
+    } = req.body || {};
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (!className || !room || !moduleNumber || !moduleName) {
+      return res.status(400).json({ error: 'Tous les champs sont requis pour mettre à jour le cours.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const courseWeekCount = weekCount === undefined ? course.weekCount : Number(weekCount);
+    if (!isValidWeekCount(courseWeekCount)) {
+      return res.status(400).json({
+        error: `Le nombre de semaines doit être compris entre ${courseLayoutLimits.minWeeks} et ${courseLayoutLimits.maxWeeks}.`
+      });
+    }
+
+    const courseSlotsPerWeek = slotsPerWeek === undefined ? course.slotsPerWeek : Number(slotsPerWeek);
+    if (!isValidSlotsPerWeek(courseSlotsPerWeek)) {
+      return res.status(400).json({
+        error: `Le nombre de demi-journées par semaine doit être compris entre ${courseLayoutLimits.minSlotsPerWeek} et ${courseLayoutLimits.maxSlotsPerWeek}.`
+      });
+    }
+
+    if (course.weeklyPattern && courseSlotsPerWeek !== course.weeklyPattern.length) {
+      return res.status(400).json({
+        error: 'Ce cours suit un rythme hebdomadaire : modifiez le rythme pour changer le nombre de demi-journées par semaine.'
+      });
+    }
+
+    const orphanedActivities = await countOrphanedActivities(courseId, courseWeekCount, courseSlotsPerWeek);
+    if (orphanedActivities > 0 && confirmShrink !== true) {
+      return res.status(409).json({
+        error: `${orphanedActivities} activité(s) planifiée(s) en dehors de la nouvelle durée du cours seraient supprimées.`,
+        orphanedActivities,
+        requiresConfirmation: true
+      });
+    }
+
+    const notes = typeof particularites === 'string' ? particularites.trim() : '';
+    const objective = typeof generalObjective === 'string' ? generalObjective.trim() : '';
+
+    const before = await getCourseSnapshot(pool, courseId);
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await recordOrphanedActivityDeletions(connection, courseId, courseWeekCount, courseSlotsPerWeek, req.user.id);
+
+      await connection.query(
+        `UPDATE courses
+         SET module_number = ?, module_name = ?, class = ?, room = ?, room_id = ?, general_objective = ?, particularites = ?, week_count = ?,
+             slots_per_week = ?
+         WHERE id = ?`,
+        [
+          moduleNumber.trim(),
+          moduleName.trim(),
+          className.trim(),
+          room.trim(),
+          await resolveRoomId(connection, room.trim(), req.user.id),
+          objective,
+          notes,
+          courseWeekCount,
+          courseSlotsPerWeek,
+          courseId
+        ]
+      );
+
+      await connection.query(
+        'DELETE FROM half_days WHERE course_id = ? AND (week_number > ? OR slot_index >= ?)',
+        [courseId, courseWeekCount, courseSlotsPerWeek]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
+    await recordHistory(pool, {
+      courseId,
+      teacherId: req.user.id,
+      entityType: 'course',
+      entityId: courseId,
+      action: 'update',
+      summary: 'Informations du cours modifiées',
+      before,
+      after: await getCourseSnapshot(pool, courseId)
+    });
+
+    res.json({
+      success: true,
+      weekCount: courseWeekCount,
+      slotsPerWeek: courseSlotsPerWeek,
+      roomConflicts: summarizeRoomConflicts(halfDays)
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du cours :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour le cours pour le moment.' });
+  }
+});
+
+app.delete('/api/courses/:courseId', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const providedModuleNumber = (req.body?.moduleNumber || '').trim();
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (!providedModuleNumber) {
+      return res.status(400).json({ error: 'Le numéro du module est requis pour confirmer la suppression.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'owner')) {
+      return res.status(403).json({ error: courseRoleErrors.owner });
+    }
+
+    if (course.moduleNumber !== providedModuleNumber) {
+      return res.status(400).json({ error: 'Le numéro du module ne correspond pas à ce cours.' });
+    }
+
+    await pool.query('UPDATE courses SET deleted_at = NOW(), deleted_by = ? WHERE id = ?', [req.user.id, courseId]);
+    await recordHistory(pool, {
+      courseId,
+      teacherId: req.user.id,
+      entityType: 'course',
+      entityId: courseId,
+      action: 'delete',
+      summary: `Cours ${course.moduleNumber} placé dans la corbeille`,
+      before: null,
+      after: null
+    });
+
+    res.json({ success: true, retentionDays: trashRetentionDays });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du cours :', error.message);
+    res.status(500).json({ error: 'Impossible de supprimer le cours pour le moment.' });
+  }
+});
+
+app.get('/api/trash', requireAuth, async (req, res) => {
+  try {
+    const [courses] = await pool.query(
+      `SELECT c.id, c.module_number AS moduleNumber, c.module_name AS moduleName, c.class AS className,
+              c.deleted_at AS deletedAt, t.display_name AS deletedByName
+       FROM courses c
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ? AND m.role = 'owner'
+       LEFT JOIN teachers t ON c.deleted_by = t.id
+       WHERE c.deleted_at IS NOT NULL
+       ORDER BY c.deleted_at DESC`,
+      [req.user.id]
+    );
+    const [activities] = await pool.query(
+      `SELECT a.id, a.specific_objective AS name, a.format, a.duration_minutes AS duration, a.deleted_at AS deletedAt,
+              t.display_name AS deletedByName, h.week_number AS weekNumber, h.slot_index AS slotIndex,
+              h.session_date AS sessionDate, h.period, c.id AS courseId, c.module_number AS moduleNumber,
+              c.module_name AS moduleName
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       INNER JOIN courses c ON h.course_id = c.id
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ? AND m.role IN ('owner', 'editor')
+       LEFT JOIN teachers t ON a.deleted_by = t.id
+       WHERE a.deleted_at IS NOT NULL AND c.deleted_at IS NULL
+       ORDER BY a.deleted_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      retentionDays: trashRetentionDays,
+      courses: courses.map((course) => ({ ...course, purgeAt: getTrashPurgeDate(course.deletedAt) })),
+      activities: activities.map((activity) => ({
+        ...activity,
+        sessionDate: toIsoDateString(activity.sessionDate),
+        purgeAt: getTrashPurgeDate(activity.deletedAt)
+      }))
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la corbeille :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer la corbeille pour le moment.' });
+  }
+});
+
+app.post('/api/trash/courses/:courseId/restore', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const [courses] = await pool.query(
+      `SELECT c.id, c.module_number AS moduleNumber, m.role
+       FROM courses c
+       INNER JOIN course_members m ON m.course_id = c.id AND m.teacher_id = ?
+       WHERE c.id = ? AND c.deleted_at IS NOT NULL
+       LIMIT 1`,
+      [req.user.id, courseId]
+    );
+
+    if (courses.length === 0) {
+      return res.status(404).json({ error: 'Ce cours ne se trouve pas dans la corbeille.' });
+    }
+
+    if (!hasCourseRole(courses[0].role, 'owner')) {
+      return res.status(403).json({ error: courseRoleErrors.owner });
+    }
+
+    await pool.query('UPDATE courses SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [courseId]);
+    await recordHistory(pool, {
+      courseId,
+      teacherId: req.user.id,
+      entityType: 'course',
+      entityId: courseId,
+      action: 'restore',
+      summary: `Cours ${courses[0].moduleNumber} restauré depuis la corbeille`,
+      before: null,
+      after: null
+    });
+    await ensureHalfDaysForCourse(courseId, req.user.id);
+
+    res.json({ success: true, courseId });
+  } catch (error) {
+    console.error('Erreur lors de la restauration du cours :', error.message);
+    res.status(500).json({ error: 'Impossible de restaurer le cours pour le moment.' });
+  }
+});
+
+app.post('/api/trash/activities/:activityId/restore', requireAuth, async (req, res) => {
+  try {
+    const activityId = Number(req.params.activityId);
+
+    if (!Number.isInteger(activityId) || activityId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'activité invalide." });
+    }
+
+    const [activities] = await pool.query(
+      `SELECT a.id, a.specific_objective AS name, h.course_id AS courseId, m.role
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       INNER JOIN courses c ON h.course_id = c.id
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE a.id = ? AND m.teacher_id = ? AND a.deleted_at IS NOT NULL AND c.deleted_at IS NULL
+       LIMIT 1`,
+      [activityId, req.user.id]
+    );
+
+    if (activities.length === 0) {
+      return res.status(404).json({ error: 'Cette activité ne se trouve pas dans la corbeille.' });
+    }
+
+    if (!hasCourseRole(activities[0].role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    let placement;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      placement = await restoreDeletedActivity(connection, activityId);
+      if (!placement) {
+        throw createHistoryError('Cette activité ne se trouve pas dans la corbeille.', 404);
+      }
+
+      await recordHistory(connection, {
+        courseId: activities[0].courseId,
+        teacherId: req.user.id,
+        entityType: 'activity',
+        entityId: activityId,
+        action: 'restore',
+        summary: `Activité « ${activities[0].name} » restaurée depuis la corbeille`,
+        before: null,
+        after: await getActivitySnapshot(connection, activityId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ success: true, courseId: activities[0].courseId, halfDayId: placement.halfDayId, position: placement.position });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Erreur lors de la restauration de l'activité :", error.message);
+    res.status(500).json({ error: "Impossible de restaurer l'activité pour le moment." });
+  }
+});
+
+async function listCourseMembers(courseId) {
+  const [rows] = await pool.query(
+    `SELECT t.id AS teacherId, t.display_name AS displayName, t.email, m.role, m.created_at AS createdAt
+     FROM course_members m
+     INNER JOIN teachers t ON m.teacher_id = t.id
+     WHERE m.course_id = ?
+     ORDER BY FIELD(m.role, 'owner', 'editor', 'viewer'), t.display_name`,
+    [courseId]
+  );
+
+  return rows;
+}
+
+async function getOtherCourseOwnerId(courseId, teacherId) {
+  const [rows] = await pool.query(
+    `SELECT teacher_id AS teacherId
+     FROM course_members
+     WHERE course_id = ? AND role = 'owner' AND teacher_id <> ?
+     ORDER BY created_at
+     LIMIT 1`,
+    [courseId, teacherId]
+  );
+
+  return rows.length > 0 ? rows[0].teacherId : null;
+}
+
+async function getCourseMemberRole(courseId, teacherId) {
+  const [rows] = await pool.query('SELECT role FROM course_members WHERE course_id = ? AND teacher_id = ? LIMIT 1', [
+    courseId,
+    teacherId
+  ]);
+
+  return rows.length > 0 ? rows[0].role : null;
+}
+
+app.get('/api/courses/:courseId/members', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const members = await listCourseMembers(courseId);
+    res.json({ role: course.role, members });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des membres du cours :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les membres du cours pour le moment.' });
+  }
+});
+
+app.post('/api/courses/:courseId/members', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const { email, role = 'viewer' } = req.body || {};
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "L'adresse e-mail est invalide." });
+    }
+
+    if (!courseRoles.includes(role)) {
+      return res.status(400).json({ error: 'Le rôle indiqué est invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'owner')) {
+      return res.status(403).json({ error: courseRoleErrors.owner });
+    }
+
+    const teacher = await getTeacherByEmail(email.trim().toLowerCase());
+    if (!teacher || !teacher.isActive) {
+      return res.status(404).json({ error: 'Aucun compte actif ne correspond à cette adresse e-mail.' });
+    }
+
+    const [result] = await pool.query(
+      'INSERT IGNORE INTO course_members (course_id, teacher_id, role) VALUES (?, ?, ?)',
+      [courseId, teacher.id, role]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Cet enseignant fait déjà partie du cours.' });
+    }
+
+    res.status(201).json({ teacherId: teacher.id, displayName: teacher.displayName, email: teacher.email, role });
+  } catch (error) {
+    console.error("Erreur lors de l'invitation sur le cours :", error.message);
+    res.status(500).json({ error: "Impossible d'inviter cet enseignant pour le moment." });
+  }
+});
+
+app.patch('/api/courses/:courseId/members/:teacherId', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const teacherId = Number(req.params.teacherId);
+    const { role } = req.body || {};
+
+    if (!Number.isInteger(courseId) || courseId <= 0 || !Number.isInteger(teacherId) || teacherId <= 0) {
+      return res.status(400).json({ error: 'Identifiant invalide.' });
+    }
+
+    if (!courseRoles.includes(role)) {
+      return res.status(400).json({ error: 'Le rôle indiqué est invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'owner')) {
+      return res.status(403).json({ error: courseRoleErrors.owner });
+    }
+
+    const currentRole = await getCourseMemberRole(courseId, teacherId);
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Membre introuvable.' });
+    }
+
+    const nextOwnerId = await getOtherCourseOwnerId(courseId, teacherId);
+    if (currentRole === 'owner' && role !== 'owner' && !nextOwnerId) {
+      return res.status(409).json({ error: 'Le cours doit conserver au moins un propriétaire.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('UPDATE course_members SET role = ? WHERE course_id = ? AND teacher_id = ?', [
+        role,
+        courseId,
+        teacherId
+      ]);
+
+      if (course.teacherId === teacherId && role !== 'owner' && nextOwnerId) {
+        await connection.query(
+          `UPDATE courses c
+           INNER JOIN teachers t ON t.id = ?
+           SET c.teacher_id = t.id, c.teacher = t.display_name
+           WHERE c.id = ?`,
+          [nextOwnerId, courseId]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ teacherId, role });
+  } catch (error) {
+    console.error('Erreur lors de la modification du rôle :', error.message);
+    res.status(500).json({ error: 'Impossible de modifier le rôle pour le moment.' });
+  }
+});
+
+app.delete('/api/courses/:courseId/members/:teacherId', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const teacherId = Number(req.params.teacherId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0 || !Number.isInteger(teacherId) || teacherId <= 0) {
+      return res.status(400).json({ error: 'Identifiant invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (teacherId !== req.user.id && !hasCourseRole(course.role, 'owner')) {
+      return res.status(403).json({ error: courseRoleErrors.owner });
+    }
+
+    const currentRole = await getCourseMemberRole(courseId, teacherId);
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Membre introuvable.' });
+    }
+
+    const nextOwnerId = await getOtherCourseOwnerId(courseId, teacherId);
+    if (currentRole === 'owner' && !nextOwnerId) {
+      return res.status(409).json({ error: 'Le cours doit conserver au moins un propriétaire.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('DELETE FROM course_members WHERE course_id = ? AND teacher_id = ?', [courseId, teacherId]);
+
+      if (course.teacherId === teacherId && nextOwnerId) {
+        await connection.query(
+          `UPDATE courses c
+           INNER JOIN teachers t ON t.id = ?
+           SET c.teacher_id = t.id, c.teacher = t.display_name
+           WHERE c.id = ?`,
+          [nextOwnerId, courseId]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors du retrait du membre :', error.message);
+    res.status(500).json({ error: 'Impossible de retirer ce membre pour le moment.' });
+  }
+});
+
+async function listCourseShareLinks(courseId) {
+  const [rows] = await pool.query(
+    `SELECT id, show_materials AS showMaterials, show_timings AS showTimings,
+            DATE_FORMAT(expires_at, '%Y-%m-%d') AS expiresOn, expires_at IS NOT NULL AND expires_at <= NOW() AS isExpired,
+            created_at AS createdAt
+     FROM course_share_links
+     WHERE course_id = ?
+     ORDER BY created_at DESC`,
+    [courseId]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    showMaterials: Boolean(row.showMaterials),
+    showTimings: Boolean(row.showTimings),
+    isExpired: Boolean(row.isExpired)
+  }));
+}
+
+app.get('/api/courses/:courseId/share-links', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const links = await listCourseShareLinks(courseId);
+    res.json({ links });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des liens de partage :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les liens de partage pour le moment.' });
+  }
+});
+
+app.post('/api/courses/:courseId/share-links', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const { showMaterials = false, showTimings = false, expiresOn = null } = req.body || {};
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (typeof showMaterials !== 'boolean' || typeof showTimings !== 'boolean') {
+      return res.status(400).json({ error: 'Les options de partage sont invalides.' });
+    }
+
+    if (expiresOn !== null && (!isValidDateString(expiresOn) || expiresOn < new Date().toISOString().slice(0, 10))) {
+      return res.status(400).json({ error: "La date d'expiration doit être une date à venir." });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const [result] = await pool.query(
+      `INSERT INTO course_share_links (course_id, token_hash, show_materials, show_timings, expires_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [courseId, hashToken(token), showMaterials ? 1 : 0, showTimings ? 1 : 0, expiresOn ? `${expiresOn} 23:59:59` : null, req.user.id]
+    );
+
+    res.status(201).json({ id: result.insertId, token, showMaterials, showTimings, expiresOn, isExpired: false });
+  } catch (error) {
+    console.error('Erreur lors de la création du lien de partage :', error.message);
+    res.status(500).json({ error: 'Impossible de créer le lien de partage pour le moment.' });
+  }
+});
+
+app.delete('/api/courses/:courseId/share-links/:linkId', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const linkId = Number(req.params.linkId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0 || !Number.isInteger(linkId) || linkId <= 0) {
+      return res.status(400).json({ error: 'Identifiant invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const [result] = await pool.query('DELETE FROM course_share_links WHERE id = ? AND course_id = ?', [linkId, courseId]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Lien de partage introuvable.' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la révocation du lien de partage :', error.message);
+    res.status(500).json({ error: 'Impossible de révoquer le lien de partage pour le moment.' });
+  }
+});
+
+app.get('/share/:token', (_req, res) => {
+  res.sendFile(path.join(publicDir, 'share.html'));
+});
+
+app.get('/api/share/:token', async (req, res) => {
+  try {
+    const [links] = await pool.query(
+      `SELECT course_id AS courseId, show_materials AS showMaterials, show_timings AS showTimings,
+              DATE_FORMAT(expires_at, '%Y-%m-%d') AS expiresOn
+       FROM course_share_links
+       WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > NOW())
+       LIMIT 1`,
+      [hashToken(req.params.token)]
+    );
+
+    const course = links.length > 0 ? await getCourse(links[0].courseId) : null;
+    if (!course) {
+      return res.status(404).json({ error: 'Ce lien de partage est invalide, révoqué ou expiré.' });
+    }
+
+    const shareLink = {
+      showMaterials: Boolean(links[0].showMaterials),
+      showTimings: Boolean(links[0].showTimings),
+      expiresOn: links[0].expiresOn
+    };
+    const halfDays = await ensureHalfDaysForCourse(course.id);
+    const activities = await listCourseActivities(course.id);
+
+    res.set('Cache-Control', 'no-store');
+    res.json(buildSharedCanvas(course, halfDays, activities, shareLink));
+  } catch (error) {
+    console.error('Erreur lors de la consultation du lien de partage :', error.message);
+    res.status(500).json({ error: 'Impossible d’afficher ce cours pour le moment.' });
+  }
+});
+
+app.get('/api/calendar/closures', requireAuth, async (req, res) => {
+  try {
+    const closures = await listClosurePeriods(req.user.id);
+    res.json({ closures });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du calendrier scolaire :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer le calendrier scolaire pour le moment.' });
+  }
+});
+
+app.post('/api/calendar/closures/import', requireAuth, async (req, res) => {
+  try {
+    const { format, content, scope = 'teacher' } = req.body || {};
+
+    if (!['ics', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Le format doit être ICS ou CSV.' });
+    }
+
+    if (!['teacher', 'global'].includes(scope)) {
+      return res.status(400).json({ error: 'La portée du calendrier est invalide.' });
+    }
+
+    if (scope === 'global' && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Seuls les administrateurs peuvent importer un calendrier commun.' });
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Le fichier de calendrier est vide.' });
+    }
+
+    const { closures, errors } = format === 'ics' ? parseIcsClosures(content) : parseCsvClosures(content);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Le fichier de calendrier contient des erreurs.', errors });
+    }
+
+    if (closures.length === 0) {
+      return res.status(400).json({ error: 'Aucune période de fermeture trouvée dans le fichier.' });
+    }
+
+    if (closures.length > closureLimits.maxPerImport) {
+      return res
+        .status(400)
+        .json({ error: `Un calendrier ne peut pas contenir plus de ${closureLimits.maxPerImport} périodes de fermeture.` });
+    }
+
+    const teacherId = scope === 'global' ? null : req.user.id;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const closure of closures) {
+        await connection.query(
+          `INSERT INTO closure_periods (teacher_id, created_by, start_date, end_date, label, source)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [teacherId, req.user.id, closure.startDate, closure.endDate, closure.label, format]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const allClosures = await listClosurePeriods(req.user.id);
+    res.status(201).json({ imported: closures.length, closures: allClosures });
+  } catch (error) {
+    console.error("Erreur lors de l'import du calendrier scolaire :", error.message);
+    res.status(500).json({ error: "Impossible d'importer le calendrier scolaire pour le moment." });
+  }
+});
+
+app.delete('/api/calendar/closures/:closureId', requireAuth, async (req, res) => {
+  try {
+    const closureId = Number(req.params.closureId);
+
+    if (!Number.isInteger(closureId) || closureId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de fermeture invalide.' });
+    }
+
+    const [result] = await pool.query(
+      `DELETE FROM closure_periods
+       WHERE id = ? AND (teacher_id = ? OR (teacher_id IS NULL AND ?))`,
+      [closureId, req.user.id, req.user.isAdmin]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Période de fermeture introuvable.' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la fermeture :', error.message);
+    res.status(500).json({ error: 'Impossible de supprimer cette période de fermeture.' });
+  }
+});
+
+app.get('/api/calendar/token', requireAuth, async (req, res) => {
+  try {
+    const [teachers] = await pool.query(
+      'SELECT calendar_token_hash IS NOT NULL AS hasToken FROM teachers WHERE id = ? LIMIT 1',
+      [req.user.id]
+    );
+
+    res.json({ hasToken: Boolean(teachers[0]?.hasToken) });
+  } catch (error) {
+    console.error("Erreur lors de la récupération du lien d'abonnement :", error.message);
+    res.status(500).json({ error: "Impossible de récupérer le lien d'abonnement pour le moment." });
+  }
+});
+
+app.post('/api/calendar/token', requireAuth, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query('UPDATE teachers SET calendar_token_hash = ? WHERE id = ?', [hashToken(token), req.user.id]);
+
+    res.status(201).json({ token });
+  } catch (error) {
+    console.error("Erreur lors de la génération du lien d'abonnement :", error.message);
+    res.status(500).json({ error: "Impossible de générer le lien d'abonnement pour le moment." });
+  }
+});
+
+app.delete('/api/calendar/token', requireAuth, async (req, res) => {
+  try {
+    await pool.query('UPDATE teachers SET calendar_token_hash = NULL WHERE id = ?', [req.user.id]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Erreur lors de la révocation du lien d'abonnement :", error.message);
+    res.status(500).json({ error: "Impossible de révoquer le lien d'abonnement pour le moment." });
+  }
+});
+
+app.get('/api/courses/:courseId/calendar.ics', requireAuthOrCalendarToken, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
+    const [activities] = await pool.query(
+      `SELECT a.half_day_id AS halfDayId, a.specific_objective AS name, a.duration_minutes AS duration, a.format
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       WHERE h.course_id = ? AND a.deleted_at IS NULL
+       ORDER BY h.week_number, h.slot_index, a.position IS NULL, a.position, a.id`,
+      [courseId]
+    );
+
+    const activitiesByHalfDay = new Map();
+    activities.forEach((activity) => {
+      if (!activitiesByHalfDay.has(activity.halfDayId)) {
+        activitiesByHalfDay.set(activity.halfDayId, []);
+      }
+      activitiesByHalfDay.get(activity.halfDayId).push(activity);
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="cours-${courseId}.ics"`);
+    res.send(buildCourseCalendar(course, halfDays, activitiesByHalfDay));
+  } catch (error) {
+    console.error("Erreur lors de l'export du calendrier :", error.message);
+    res.status(500).json({ error: "Impossible d'exporter le calendrier pour le moment." });
+  }
+});
+
+app.get('/api/courses/:courseId/activities', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const courseExists = await ensureCourseExists(courseId, req.user.id);
+    if (!courseExists) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const activities = await listCourseActivities(courseId, req.user.id);
+
+    res.json(activities);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des activités :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les activités pour le moment.' });
+  }
+});
+
+app.get('/api/courses/:courseId/activities.:format(csv|xlsx)', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
+    const activities = await listCourseActivities(courseId, req.user.id);
+    const { activityRows, halfDayTotals } = buildActivityPlanRows(halfDays, activities);
+    const fileName = `${course.moduleNumber}-${course.className}-activites`.replace(/[^\w.-]+/g, '_');
+
+    if (req.params.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(buildActivityPlanCsv(activityRows));
+    }
+
+    const workbook = await buildActivityPlanWorkbook(course, activityRows, halfDayTotals);
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    res.send(Buffer.from(workbook));
+  } catch (error) {
+    console.error("Erreur lors de l'export des activités :", error.message);
+    res.status(500).json({ error: "Impossible d'exporter les activités pour le moment." });
+  }
+});
+
+app.get('/api/courses/:courseId/canvas.pdf', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const orientation = req.query.orientation || 'portrait';
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (!['portrait', 'landscape'].includes(orientation)) {
+      return res.status(400).json({ error: "L'orientation doit être « portrait » ou « landscape »." });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
+    const activities = await listCourseActivities(courseId, req.user.id);
+    const pdf = await buildCanvasPdf(course, halfDays, activities, orientation);
+    const fileName = `${course.moduleNumber}-${course.className}-canevas`.replace(/[^\w.-]+/g, '_');
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Erreur lors de la génération du PDF :', error.message);
+    res.status(500).json({ error: 'Impossible de générer le PDF pour le moment.' });
+  }
+});
+
+app.get('/api/courses/:courseId/reports/timing', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const threshold = req.query.threshold === undefined ? defaultTimingOverrunThreshold : Number(req.query.threshold);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1000) {
+      return res.status(400).json({ error: 'Le seuil de dépassement doit être un pourcentage compris entre 0 et 1000.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
+    const activities = await listCourseActivities(courseId, req.user.id);
+
+    res.json({
+      course: {
+        id: course.id,
+        moduleNumber: course.moduleNumber,
+        moduleName: course.moduleName,
+        className: course.className
+      },
+      ...buildTimingReport(halfDays, activities, threshold)
+    });
+  } catch (error) {
+    console.error('Erreur lors de la génération du rapport des durées :', error.message);
+    res.status(500).json({ error: 'Impossible de générer le rapport des durées pour le moment.' });
+  }
+});
+
+app.get('/api/courses/:courseId/competencies', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    res.json({
+      moduleNumber: course.moduleNumber,
+      canEdit: await canEditModuleCompetencies(course.moduleNumber, req.user),
+      competencies: await listModuleCompetencies(course.moduleNumber)
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des compétences :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les compétences du module pour le moment.' });
+  }
+});
+
+app.post('/api/courses/:courseId/competencies', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    const { competency, error } = normalizeCompetency(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!(await canEditModuleCompetencies(course.moduleNumber, req.user))) {
+      return res.status(403).json({ error: courseRoleErrors.competencies });
+    }
+
+    const [existing] = await pool.query('SELECT id FROM module_competencies WHERE module_number = ? AND code = ? LIMIT 1', [
+      course.moduleNumber,
+      competency.code
+    ]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: `Le code ${competency.code} existe déjà dans le catalogue du module.` });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO module_competencies (module_number, code, label, kind, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [course.moduleNumber, competency.code, competency.label, competency.kind, req.user.id]
+    );
+
+    res.status(201).json({ id: result.insertId, ...competency });
+  } catch (error) {
+    console.error("Erreur lors de l'ajout de la compétence :", error.message);
+    res.status(500).json({ error: "Impossible d'ajouter la compétence pour le moment." });
   }
 });
 
-app.post('/api/auth/register', async (req, res) => {
-  res.status(403).json({ error: 'La création de compte est désactivée. Veuillez contacter votre administrateur.' });
+app.post('/api/courses/:courseId/competencies/import', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const { content } = req.body || {};
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Le fichier CSV est vide.' });
+    }
+
+    const { competencies, errors } = parseCsvCompetencies(content);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Le fichier CSV contient des erreurs.', errors });
+    }
+
+    if (competencies.length === 0) {
+      return res.status(400).json({ error: 'Aucune compétence trouvée dans le fichier.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!(await canEditModuleCompetencies(course.moduleNumber, req.user))) {
+      return res.status(403).json({ error: courseRoleErrors.competencies });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const competency of competencies) {
+        await connection.query(
+          `INSERT INTO module_competencies (module_number, code, label, kind, created_by)
+           VALUES (?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE label = VALUES(label), kind = VALUES(kind)`,
+          [course.moduleNumber, competency.code, competency.label, competency.kind, req.user.id]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(201).json({ imported: competencies.length, competencies: await listModuleCompetencies(course.moduleNumber) });
+  } catch (error) {
+    console.error("Erreur lors de l'import des compétences :", error.message);
+    res.status(500).json({ error: "Impossible d'importer les compétences pour le moment." });
+  }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.patch('/api/courses/:courseId/competencies/:competencyId', requireAuth, async (req, res) => {
   try {
-    const { email, password } = req.body || {};
+    const courseId = Number(req.params.courseId);
+    const competencyId = Number(req.params.competencyId);
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email et mot de passe sont requis.' });
+    if (!Number.isInteger(courseId) || courseId <= 0 || !Number.isInteger(competencyId) || competencyId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de compétence invalide.' });
     }
 
-    const normalizedEmail = String(email).trim().toLowerCase();
-    const teacher = await getTeacherByEmail(normalizedEmail);
+    const { competency, error } = normalizeCompetency(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (!teacher || !verifyPassword(String(password), teacher.passwordHash)) {
-      return res.status(401).json({ error: 'Identifiants invalides.' });
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
+
+    if (!(await canEditModuleCompetencies(course.moduleNumber, req.user))) {
+      return res.status(403).json({ error: courseRoleErrors.competencies });
+    }
+
+    const [existing] = await pool.query(
+      'SELECT id FROM module_competencies WHERE module_number = ? AND code = ? AND id <> ? LIMIT 1',
+      [course.moduleNumber, competency.code, competencyId]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ error: `Le code ${competency.code} existe déjà dans le catalogue du module.` });
+    }
+
+    const [result] = await pool.query(
+      'UPDATE module_competencies SET code = ?, label = ?, kind = ? WHERE id = ? AND module_number = ?',
+      [competency.code, competency.label, competency.kind, competencyId, course.moduleNumber]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Compétence introuvable.' });
     }
 
-    setAuthCookie(res, { id: teacher.id, email: teacher.email, name: teacher.displayName });
-    res.json({ id: teacher.id, email: teacher.email, displayName: teacher.displayName });
+    res.json({ id: competencyId, ...competency });
   } catch (error) {
-    console.error('Erreur lors de la connexion :', error.message);
-    res.status(500).json({ error: 'Impossible de se connecter pour le moment.' });
+    console.error('Erreur lors de la mise à jour de la compétence :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour la compétence pour le moment.' });
   }
 });
 
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('auth_token');
-  res.json({ success: true });
-});
+app.delete('/api/courses/:courseId/competencies/:competencyId', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const competencyId = Number(req.params.competencyId);
 
-app.get('/api/auth/me', requireAuth, (req, res) => {
-  res.json({ id: req.user.id, email: req.user.email, displayName: req.user.name });
-});
+    if (!Number.isInteger(courseId) || courseId <= 0 || !Number.isInteger(competencyId) || competencyId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de compétence invalide.' });
+    }
 
-app.get('/api/courses', requireAuth, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, teacher, class AS className, room, module_number AS moduleNumber, module_name AS moduleName,
-              general_objective AS generalObjective, particularites, start_date AS startDate, start_period AS startPeriod,
-              created_at AS createdAt
-       FROM courses
-       WHERE teacher_id = ?
-       ORDER BY created_at DESC`
-      ,
-      [req.user.id]
-    );
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
 
-    res.json(rows);
+    if (!(await canEditModuleCompetencies(course.moduleNumber, req.user))) {
+      return res.status(403).json({ error: courseRoleErrors.competencies });
+    }
+
+    const [result] = await pool.query('DELETE FROM module_competencies WHERE id = ? AND module_number = ?', [
+      competencyId,
+      course.moduleNumber
+    ]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Compétence introuvable.' });
+    }
+
+    res.json({ success: true });
   } catch (error) {
-    console.error('Erreur lors de la récupération des cours :', error.message);
-    res.status(500).json({ error: 'Impossible de récupérer les cours pour le moment.' });
+    console.error('Erreur lors de la suppression de la compétence :', error.message);
+    res.status(500).json({ error: 'Impossible de supprimer la compétence pour le moment.' });
   }
 });
 
-app.post('/api/courses', requireAuth, async (req, res) => {
+app.get('/api/courses/:courseId/coverage', requireAuth, async (req, res) => {
   try {
-    const { className, room, moduleNumber, moduleName, startDate, startSlot, particularites, generalObjective } = req.body;
+    const courseId = Number(req.params.courseId);
 
-    if (!className || !room || !moduleNumber || !moduleName) {
-      return res.status(400).json({ error: 'Tous les champs du cours sont requis.' });
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
-    if (!isValidDateString(startDate)) {
-      return res.status(400).json({ error: 'La date de début est invalide.' });
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    const startSlotIndex = Number(startSlot);
-    const notes = typeof particularites === 'string' ? particularites.trim() : '';
-    const objective = typeof generalObjective === 'string' ? generalObjective.trim() : '';
-    const startPeriod = slotToPeriod[startSlotIndex];
+    const competencies = await listModuleCompetencies(course.moduleNumber);
+    const activities = await listCourseActivities(courseId, req.user.id);
 
-    if (!startPeriod) {
-      return res.status(400).json({ error: 'La demi-journée de début est invalide.' });
+    res.json({
+      course: {
+        id: course.id,
+        moduleNumber: course.moduleNumber,
+        moduleName: course.moduleName,
+        className: course.className
+      },
+      ...buildCoverageMatrix(competencies, activities)
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul de la couverture des compétences :', error.message);
+    res.status(500).json({ error: 'Impossible de calculer la couverture des compétences pour le moment.' });
+  }
+});
+
+app.get('/api/courses/:courseId/half-days', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
-    const [result] = await pool.query(
-      `INSERT INTO courses (teacher_id, teacher, class, room, module_number, module_name, general_objective, particularites, start_date, start_period)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)` ,
-      [
-        req.user.id,
-        req.user.name,
-        className.trim(),
-        room.trim(),
-        moduleNumber.trim(),
-        moduleName.trim(),
-        objective,
-        notes,
-        startDate,
-        startPeriod
-      ]
-    );
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
+    }
 
-    await ensureHalfDaysForCourse(result.insertId, req.user.id);
+    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
 
-    res.status(201).json({ id: result.insertId });
+    res.json({
+      course: {
+        id: course.id,
+        startDate: course.startDate,
+        startPeriod: course.startPeriod,
+        weekCount: course.weekCount,
+        slotsPerWeek: course.slotsPerWeek
+      },
+      halfDays
+    });
   } catch (error) {
-    console.error('Erreur lors de la création du cours :', error.message);
-    res.status(500).json({ error: 'Impossible de créer le cours pour le moment.' });
+    console.error('Erreur lors de la récupération des demi-jours :', error.message);
+    res.status(500).json({ error: 'Impossible de récupérer les demi-jours pour ce cours.' });
   }
 });
 
-app.patch('/api/courses/:courseId', requireAuth, async (req, res) => {
+app.patch('/api/courses/:courseId/half-days/:weekNumber/:slotIndex', requireAuth, async (req, res) => {
   try {
     const courseId = Number(req.params.courseId);
-    const { className, room, moduleNumber, moduleName, particularites, generalObjective } = req.body || {};
+    const weekNumber = Number(req.params.weekNumber);
+    const slotIndex = Number(req.params.slotIndex);
+    const { status, reason } = req.body || {};
 
     if (!Number.isInteger(courseId) || courseId <= 0) {
       return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
-    if (!className || !room || !moduleNumber || !moduleName) {
-      return res.status(400).json({ error: 'Tous les champs sont requis pour mettre à jour le cours.' });
+    const normalizedStatus = typeof status === 'string' ? status : '';
+    if (!supportedHalfDayStatuses.has(normalizedStatus)) {
+      return res.status(400).json({ error: "L'état de la demi-journée est invalide." });
     }
 
-    const [existingCourses] = await pool.query(
-      'SELECT id FROM courses WHERE id = ? AND teacher_id = ? LIMIT 1',
-      [courseId, req.user.id]
-    );
-
-    if (existingCourses.length === 0) {
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
       return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    const notes = typeof particularites === 'string' ? particularites.trim() : '';
-    const objective = typeof generalObjective === 'string' ? generalObjective.trim() : '';
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
 
-    await pool.query(
-      'UPDATE courses SET module_number = ?, module_name = ?, class = ?, room = ?, general_objective = ?, particularites = ? WHERE id = ? AND teacher_id = ?',
-      [moduleNumber.trim(), moduleName.trim(), className.trim(), room.trim(), objective, notes, courseId, req.user.id]
-    );
+    if (!isValidWeekNumber(course, weekNumber)) {
+      return res.status(400).json({ error: `La semaine doit être comprise entre 1 et ${course.weekCount}.` });
+    }
 
-    res.json({ success: true });
+    if (!isValidSlotIndex(course, slotIndex)) {
+      return res.status(400).json({ error: 'Le créneau est invalide.' });
+    }
+
+    const halfDay = await getHalfDayForCourse(courseId, weekNumber, slotIndex, req.user.id);
+    if (!halfDay) {
+      return res.status(404).json({ error: 'Demi-journée introuvable.' });
+    }
+
+    if (normalizedStatus === 'holiday') {
+      const activityIds = await getOrderedActivityIds(pool, halfDay.id);
+      if (activityIds.length > 0) {
+        return res.status(409).json({
+          error: "Impossible de marquer cette demi-journée comme congé tant qu'une activité y est planifiée."
+        });
+      }
+    }
+
+    const statusReason =
+      normalizedStatus !== 'normal' && typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 255) : null;
+
+    const before = await getHalfDaySnapshot(pool, halfDay.id);
+    await pool.query('UPDATE half_days SET status = ?, status_reason = ? WHERE id = ?', [
+      normalizedStatus,
+      statusReason,
+      halfDay.id
+    ]);
+    await recordHistory(pool, {
+      courseId,
+      teacherId: req.user.id,
+      entityType: 'half_day',
+      entityId: halfDay.id,
+      action: 'update',
+      summary: `Demi-journée du ${formatHalfDayLabel(before)} : ${halfDayStatusLabels[normalizedStatus]}`,
+      before,
+      after: await getHalfDaySnapshot(pool, halfDay.id)
+    });
+
+    res.json({
+      id: halfDay.id,
+      weekNumber,
+      slotIndex,
+      sessionDate: halfDay.sessionDate,
+      period: halfDay.period,
+      status: normalizedStatus,
+      statusReason
+    });
   } catch (error) {
-    console.error('Erreur lors de la mise à jour du cours :', error.message);
-    res.status(500).json({ error: 'Impossible de mettre à jour le cours pour le moment.' });
+    console.error('Erreur lors de la mise à jour de la demi-journée :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour la demi-journée pour le moment.' });
   }
 });
 
-app.delete('/api/courses/:courseId', requireAuth, async (req, res) => {
+app.post('/api/courses/:courseId/weeks/:weekNumber/reschedule', requireAuth, async (req, res) => {
   try {
     const courseId = Number(req.params.courseId);
-    const providedModuleNumber = (req.body?.moduleNumber || '').trim();
+    const weekNumber = Number(req.params.weekNumber);
+    const { startDate } = req.body || {};
 
     if (!Number.isInteger(courseId) || courseId <= 0) {
       return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
-    if (!providedModuleNumber) {
-      return res.status(400).json({ error: 'Le numéro du module est requis pour confirmer la suppression.' });
+    if (!isValidDateString(startDate)) {
+      return res.status(400).json({ error: 'La date de début est invalide.' });
     }
 
-    const [courses] = await pool.query(
-      'SELECT module_number AS moduleNumber FROM courses WHERE id = ? AND teacher_id = ? LIMIT 1',
-      [courseId, req.user.id]
-    );
-
-    if (courses.length === 0) {
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
       return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    const course = courses[0];
-    if (course.moduleNumber !== providedModuleNumber) {
-      return res.status(400).json({ error: 'Le numéro du module ne correspond pas à ce cours.' });
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
     }
 
-    await pool.query('DELETE FROM courses WHERE id = ? AND teacher_id = ?', [courseId, req.user.id]);
+    if (!isValidWeekNumber(course, weekNumber)) {
+      return res.status(400).json({ error: `La semaine doit être comprise entre 1 et ${course.weekCount}.` });
+    }
 
-    res.json({ success: true });
+    const startSlotIndex = slotToPeriod.indexOf(course.startPeriod);
+    if (startSlotIndex === -1) {
+      return res.status(400).json({ error: 'Demi-journée de début introuvable pour ce cours.' });
+    }
+
+    const firstSlotIndex = course.weeklyPattern && weekNumber > 1 ? 0 : startSlotIndex;
+    const closures = await listClosurePeriods(course.teacherId);
+    const halfDaysToUpdate = buildExpectedHalfDays(startDate, firstSlotIndex, course, weekNumber, closures);
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const before = await getCourseSnapshot(connection, courseId);
+
+      if (weekNumber === 1) {
+        await connection.query('UPDATE courses SET start_date = ? WHERE id = ?', [startDate, courseId]);
+      }
+
+      for (const halfDay of halfDaysToUpdate) {
+        await connection.query(
+          `INSERT INTO half_days (course_id, week_number, slot_index, session_date, period)
+           VALUES (?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE session_date = VALUES(session_date), period = VALUES(period)`,
+          [courseId, halfDay.weekNumber, halfDay.slotIndex, halfDay.sessionDate, halfDay.period]
+        );
+      }
+
+      await recordHistory(connection, {
+        courseId,
+        teacherId: req.user.id,
+        entityType: 'course',
+        entityId: courseId,
+        action: 'update',
+        summary: `Dates recalculées à partir de la semaine ${weekNumber}`,
+        before,
+        after: await getCourseSnapshot(connection, courseId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const halfDays = await attachRoomConflicts(courseId, await listCourseHalfDays(courseId, req.user.id));
+    res.json({ halfDays, roomConflicts: summarizeRoomConflicts(halfDays) });
   } catch (error) {
-    console.error('Erreur lors de la suppression du cours :', error.message);
-    res.status(500).json({ error: 'Impossible de supprimer le cours pour le moment.' });
+    console.error('Erreur lors du recalcul des semaines :', error.message);
+    res.status(500).json({ error: 'Impossible de recalculer les dates pour ce cours.' });
   }
 });
 
-app.get('/api/courses/:courseId/activities', requireAuth, async (req, res) => {
+app.put('/api/courses/:courseId/weekly-pattern', requireAuth, async (req, res) => {
   try {
     const courseId = Number(req.params.courseId);
+    const { weeklyPattern, confirmShrink } = req.body || {};
 
     if (!Number.isInteger(courseId) || courseId <= 0) {
       return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
-    const courseExists = await ensureCourseExists(courseId, req.user.id);
-    if (!courseExists) {
+    const normalizedPattern = weeklyPattern === null ? null : normalizeWeeklyPattern(weeklyPattern);
+    if (weeklyPattern !== null && !normalizedPattern) {
+      return res.status(400).json({ error: 'Le rythme hebdomadaire est invalide.' });
+    }
+
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
       return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    const [rows] = await pool.query(
-      `SELECT a.id,
-              a.specific_objective AS name,
-              a.description,
-              a.duration_minutes AS duration,
-              a.format,
-              a.materials,
-              a.actual_start_time AS actualStartTime,
-              a.actual_end_time AS actualEndTime,
-              h.week_number AS weekNumber,
-              h.slot_index AS slotIndex,
-              h.session_date AS sessionDate,
-              h.period
-       FROM activities a
-       INNER JOIN half_days h ON a.half_day_id = h.id
-       INNER JOIN courses c ON h.course_id = c.id
-       WHERE h.course_id = ? AND c.teacher_id = ?
-       ORDER BY h.week_number, h.slot_index, a.position IS NULL, a.position, a.id`,
-      [courseId, req.user.id]
-    );
-
-    const activities = rows.map((row) => ({
-      id: row.id,
-      name: row.name,
-      week: row.weekNumber,
-      slot: row.slotIndex,
-      type: row.format,
-      details: row.description,
-      duration: row.duration,
-      materials: row.materials || '',
-      sessionDate: row.sessionDate,
-      period: row.period,
-      actualStart: row.actualStartTime ? new Date(row.actualStartTime).toISOString() : null,
-      actualEnd: row.actualEndTime ? new Date(row.actualEndTime).toISOString() : null
-    })).filter((activity) => Number.isInteger(activity.week) && Number.isInteger(activity.slot));
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const startSlotIndex = slotToPeriod.indexOf(course.startPeriod);
+    if (startSlotIndex === -1) {
+      return res.status(400).json({ error: 'Demi-journée de début introuvable pour ce cours.' });
+    }
+
+    const updatedLayout = {
+      weekCount: course.weekCount,
+      slotsPerWeek: normalizedPattern ? normalizedPattern.length : course.slotsPerWeek,
+      weeklyPattern: normalizedPattern
+    };
+
+    const orphanedActivities = await countOrphanedActivities(courseId, updatedLayout.weekCount, updatedLayout.slotsPerWeek);
+    if (orphanedActivities > 0 && confirmShrink !== true) {
+      return res.status(409).json({
+        error: `${orphanedActivities} activité(s) planifiée(s) sur des demi-journées retirées du rythme seraient supprimées.`,
+        orphanedActivities,
+        requiresConfirmation: true
+      });
+    }
+
+    const closures = await listClosurePeriods(course.teacherId);
+    const halfDaysToUpdate = buildExpectedHalfDays(course.startDate, startSlotIndex, updatedLayout, 1, closures);
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const before = await getCourseSnapshot(connection, courseId);
+      await recordOrphanedActivityDeletions(
+        connection,
+        courseId,
+        updatedLayout.weekCount,
+        updatedLayout.slotsPerWeek,
+        req.user.id
+      );
+
+      await connection.query(
+        'UPDATE courses SET weekly_pattern = ?, slots_per_week = ? WHERE id = ?',
+        [normalizedPattern ? JSON.stringify(normalizedPattern) : null, updatedLayout.slotsPerWeek, courseId]
+      );
+
+      await connection.query(
+        'DELETE FROM half_days WHERE course_id = ? AND (week_number > ? OR slot_index >= ?)',
+        [courseId, updatedLayout.weekCount, updatedLayout.slotsPerWeek]
+      );
+
+      for (const halfDay of halfDaysToUpdate) {
+        await connection.query(
+          `INSERT INTO half_days (course_id, week_number, slot_index, session_date, period)
+           VALUES (?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE session_date = VALUES(session_date), period = VALUES(period)`,
+          [courseId, halfDay.weekNumber, halfDay.slotIndex, halfDay.sessionDate, halfDay.period]
+        );
+      }
+
+      await recordHistory(connection, {
+        courseId,
+        teacherId: req.user.id,
+        entityType: 'course',
+        entityId: courseId,
+        action: 'update',
+        summary: normalizedPattern ? 'Rythme hebdomadaire modifié' : 'Rythme hebdomadaire supprimé',
+        before,
+        after: await getCourseSnapshot(connection, courseId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    res.json(activities);
+    const halfDays = await listCourseHalfDays(courseId, req.user.id);
+    res.json({ weeklyPattern: normalizedPattern, slotsPerWeek: updatedLayout.slotsPerWeek, halfDays });
   } catch (error) {
-    console.error('Erreur lors de la récupération des activités :', error.message);
-    res.status(500).json({ error: 'Impossible de récupérer les activités pour le moment.' });
+    console.error('Erreur lors de la mise à jour du rythme hebdomadaire :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour le rythme hebdomadaire pour le moment.' });
   }
 });
 
-app.get('/api/courses/:courseId/half-days', requireAuth, async (req, res) => {
+app.put('/api/courses/:courseId/capacity', requireAuth, async (req, res) => {
   try {
     const courseId = Number(req.params.courseId);
+    const { periodLimits, breaks, strictCapacity } = req.body || {};
 
     if (!Number.isInteger(courseId) || courseId <= 0) {
       return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
+    const normalizedLimits = periodLimits === null ? null : normalizePeriodLimits(periodLimits);
+    if (periodLimits !== null && !normalizedLimits) {
+      return res.status(400).json({
+        error: 'Les horaires des demi-journées sont invalides : indiquez une heure de début et une heure de fin (HH:MM) pour chaque période.'
+      });
+    }
+
+    if (typeof strictCapacity !== 'boolean') {
+      return res.status(400).json({ error: 'Le mode strict doit être activé ou désactivé.' });
+    }
+
     const course = await getCourse(courseId, req.user.id);
     if (!course) {
       return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    const halfDays = await ensureHalfDaysForCourse(courseId, req.user.id);
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const resolvedLimits = normalizedLimits || defaultPeriodLimits;
+    const normalizedBreaks = normalizePeriodBreaks(breaks === undefined ? course.breaks : breaks, resolvedLimits);
+    if (!normalizedBreaks) {
+      return res.status(400).json({
+        error: `Les pauses sont invalides : ${maxPeriodBreaks} pauses au maximum, comprises dans les horaires de leur période et sans chevauchement.`
+      });
+    }
+
+    const before = await getCourseSnapshot(pool, courseId);
+    await pool.query('UPDATE courses SET period_limits = ?, period_breaks = ?, strict_capacity = ? WHERE id = ?', [
+      normalizedLimits ? JSON.stringify(normalizedLimits) : null,
+      normalizedBreaks.length > 0 ? JSON.stringify(normalizedBreaks) : null,
+      strictCapacity ? 1 : 0,
+      courseId
+    ]);
+    await recordHistory(pool, {
+      courseId,
+      teacherId: req.user.id,
+      entityType: 'course',
+      entityId: courseId,
+      action: 'update',
+      summary: 'Horaires, pauses et capacité des demi-journées modifiés',
+      before,
+      after: await getCourseSnapshot(pool, courseId)
+    });
 
     res.json({
-      course: {
-        id: course.id,
-        startDate: course.startDate,
-        startPeriod: course.startPeriod
-      },
-      halfDays
+      periodLimits: resolvedLimits,
+      customPeriodLimits: Boolean(normalizedLimits),
+      breaks: normalizedBreaks,
+      strictCapacity
     });
   } catch (error) {
-    console.error('Erreur lors de la récupération des demi-jours :', error.message);
-    res.status(500).json({ error: 'Impossible de récupérer les demi-jours pour ce cours.' });
+    console.error('Erreur lors de la mise à jour de la capacité des demi-journées :', error.message);
+    res.status(500).json({ error: 'Impossible de mettre à jour les horaires des demi-journées pour le moment.' });
   }
 });
 
-app.post('/api/courses/:courseId/weeks/:weekNumber/reschedule', requireAuth, async (req, res) => {
+app.get('/api/courses/:courseId/history', requireAuth, async (req, res) => {
   try {
     const courseId = Number(req.params.courseId);
-    const weekNumber = Number(req.params.weekNumber);
-    const { startDate } = req.body || {};
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
 
     if (!Number.isInteger(courseId) || courseId <= 0) {
       return res.status(400).json({ error: 'Identifiant de cours invalide.' });
     }
 
-    if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > 5) {
-      return res.status(400).json({ error: 'La semaine doit être comprise entre 1 et 5.' });
+    const course = await getCourse(courseId, req.user.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    if (!isValidDateString(startDate)) {
-      return res.status(400).json({ error: 'La date de début est invalide.' });
+    const [rows] = await pool.query(
+      `SELECT h.id, h.entity_type AS entityType, h.entity_id AS entityId, h.action, h.summary, h.undo_of AS undoOf,
+              h.undone_at AS undoneAt, h.created_at AS createdAt, t.display_name AS teacherName, u.display_name AS undoneByName
+       FROM course_history h
+       LEFT JOIN teachers t ON h.teacher_id = t.id
+       LEFT JOIN teachers u ON h.undone_by = u.id
+       WHERE h.course_id = ?
+       ORDER BY h.id DESC
+       LIMIT ?`,
+      [courseId, limit]
+    );
+
+    const canEdit = hasCourseRole(course.role, 'editor');
+    res.json({
+      entries: rows.map((row) => ({
+        ...row,
+        canUndo:
+          canEdit && !row.undoneAt && row.action !== 'undo' && !(row.entityType === 'course' && row.action !== 'update')
+      }))
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'historique :", error.message);
+    res.status(500).json({ error: "Impossible de récupérer l'historique pour le moment." });
+  }
+});
+
+app.post('/api/courses/:courseId/history/:entryId/undo', requireAuth, async (req, res) => {
+  try {
+    const courseId = Number(req.params.courseId);
+    const entryId = Number(req.params.entryId);
+
+    if (!Number.isInteger(courseId) || courseId <= 0 || !Number.isInteger(entryId) || entryId <= 0) {
+      return res.status(400).json({ error: 'Identifiant invalide.' });
     }
 
     const course = await getCourse(courseId, req.user.id);
@@ -857,30 +6915,63 @@ app.post('/api/courses/:courseId/weeks/:weekNumber/reschedule', requireAuth, asy
       return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
-    const startSlotIndex = slotToPeriod.indexOf(course.startPeriod);
-    if (startSlotIndex === -1) {
-      return res.status(400).json({ error: 'Demi-journée de début introuvable pour ce cours.' });
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
     }
 
-    const halfDaysToUpdate = buildExpectedHalfDays(startDate, startSlotIndex, weekNumber);
+    const undoHandlers = { activity: undoActivityChange, half_day: undoHalfDayChange, course: undoCourseChange };
+    let entry;
 
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
-      if (weekNumber === 1) {
-        await connection.query('UPDATE courses SET start_date = ? WHERE id = ? AND teacher_id = ?', [startDate, courseId, req.user.id]);
+      const [entries] = await connection.query(
+        `SELECT id, course_id AS courseId, entity_type AS entityType, entity_id AS entityId, action, summary,
+                before_state AS beforeState, after_state AS afterState, undone_at AS undoneAt
+         FROM course_history
+         WHERE id = ? AND course_id = ?
+         LIMIT 1
+         FOR UPDATE`,
+        [entryId, courseId]
+      );
+
+      if (entries.length === 0) {
+        throw createHistoryError('Modification introuvable.', 404);
       }
 
-      for (const halfDay of halfDaysToUpdate) {
-        await connection.query(
-          `INSERT INTO half_days (course_id, week_number, slot_index, session_date, period)
-           VALUES (?, ?, ?, ?, ?)
-           ON DUPLICATE KEY UPDATE session_date = VALUES(session_date), period = VALUES(period)`,
-          [courseId, halfDay.weekNumber, halfDay.slotIndex, halfDay.sessionDate, halfDay.period]
-        );
+      entry = {
+        ...entries[0],
+        before: entries[0].beforeState ? JSON.parse(entries[0].beforeState) : null,
+        after: entries[0].afterState ? JSON.parse(entries[0].afterState) : null
+      };
+
+      if (entry.action === 'undo') {
+        throw createHistoryError('Une annulation ne peut pas être elle-même annulée.', 400);
+      }
+
+      if (entry.undoneAt) {
+        throw createHistoryError('Cette modification a déjà été annulée.');
       }
 
+      const { current, restored } = await undoHandlers[entry.entityType](connection, entry, req.user.id);
+
+      await recordHistory(connection, {
+        courseId,
+        teacherId: req.user.id,
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        action: 'undo',
+        summary: `Annulation : ${entry.summary}`,
+        before: current,
+        after: restored,
+        undoOf: entry.id
+      });
+      await connection.query('UPDATE course_history SET undone_at = NOW(), undone_by = ? WHERE id = ?', [
+        req.user.id,
+        entry.id
+      ]);
+
       await connection.commit();
     } catch (error) {
       await connection.rollback();
@@ -889,17 +6980,35 @@ app.post('/api/courses/:courseId/weeks/:weekNumber/reschedule', requireAuth, asy
       connection.release();
     }
 
-    const halfDays = await listCourseHalfDays(courseId, req.user.id);
-    res.json({ halfDays });
+    if (entry.entityType === 'course') {
+      await ensureHalfDaysForCourse(courseId, req.user.id);
+    }
+
+    res.json({ success: true, entityType: entry.entityType });
   } catch (error) {
-    console.error('Erreur lors du recalcul des semaines :', error.message);
-    res.status(500).json({ error: 'Impossible de recalculer les dates pour ce cours.' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Erreur lors de l'annulation de la modification :", error.message);
+    res.status(500).json({ error: "Impossible d'annuler cette modification pour le moment." });
   }
 });
 
 app.post('/api/activities', requireAuth, async (req, res) => {
   try {
-    const { name, week, slot, format, details, duration, materials, courseId } = req.body;
+    const {
+      name,
+      week,
+      slot,
+      format,
+      details,
+      duration,
+      materials,
+      courseId,
+      competencyIds,
+      equipment,
+      sourceActivityId
+    } = req.body;
 
     if (!name || typeof name !== 'string') {
       return res.status(400).json({ error: 'Le nom de l’activité est requis.' });
@@ -910,23 +7019,27 @@ app.post('/api/activities', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Un cours valide est requis pour créer une activité.' });
     }
 
-    const ownsCourse = await ensureCourseExists(selectedCourseId, req.user.id);
-    if (!ownsCourse) {
+    const course = await getCourse(selectedCourseId, req.user.id);
+    if (!course) {
       return res.status(404).json({ error: 'Cours introuvable.' });
     }
 
+    if (!hasCourseRole(course.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
     const weekNumber = Number(week);
-    if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > 5) {
-      return res.status(400).json({ error: 'La semaine doit être comprise entre 1 et 5.' });
+    if (!isValidWeekNumber(course, weekNumber)) {
+      return res.status(400).json({ error: `La semaine doit être comprise entre 1 et ${course.weekCount}.` });
     }
 
     const slotIndex = Number(slot);
-    if (!Number.isInteger(slotIndex) || slotIndex < 0 || slotIndex > 2) {
+    if (!isValidSlotIndex(course, slotIndex)) {
       return res.status(400).json({ error: 'Le créneau est invalide.' });
     }
 
     const normalizedFormat = typeof format === 'string' ? format : '';
-    if (!supportedFormats.has(normalizedFormat)) {
+    if (!activityFormats.has(normalizedFormat)) {
       return res.status(400).json({ error: 'Le format indiqué est invalide.' });
     }
 
@@ -935,6 +7048,40 @@ app.post('/api/activities', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'La durée (en minutes) doit être un nombre positif.' });
     }
 
+    const selectedCompetencyIds = competencyIds === undefined ? [] : normalizeCompetencyIds(competencyIds);
+    if (!selectedCompetencyIds) {
+      return res.status(400).json({ error: 'La liste des compétences est invalide.' });
+    }
+
+    if (!(await hasModuleCompetencies(course.moduleNumber, selectedCompetencyIds))) {
+      return res.status(400).json({ error: 'Certaines compétences ne font pas partie du catalogue du module.' });
+    }
+
+    const selectedEquipment = equipment === undefined ? [] : normalizeEquipmentBookings(equipment);
+    if (!selectedEquipment) {
+      return res.status(400).json({ error: "La liste de l'équipement réservé est invalide." });
+    }
+
+    if (!(await hasEquipmentItems(selectedEquipment))) {
+      return res.status(400).json({ error: "Certains équipements ne font pas partie de l'inventaire." });
+    }
+
+    const sourceId = sourceActivityId === undefined || sourceActivityId === null ? null : Number(sourceActivityId);
+    if (sourceId !== null) {
+      const [sourceActivities] = await pool.query(
+        `SELECT a.id
+         FROM activities a
+         INNER JOIN half_days h ON a.half_day_id = h.id
+         WHERE a.id = ? AND h.course_id = ? AND a.deleted_at IS NULL
+         LIMIT 1`,
+        [Number.isInteger(sourceId) ? sourceId : 0, selectedCourseId]
+      );
+
+      if (sourceActivities.length === 0) {
+        return res.status(400).json({ error: "L'activité dupliquée est introuvable dans ce cours." });
+      }
+    }
+
     const objective = name.trim();
     const description = (details || '').trim() || 'Description à compléter';
     const sanitizedMaterials = materials && typeof materials === 'string' ? materials.trim() : null;
@@ -944,17 +7091,60 @@ app.post('/api/activities', requireAuth, async (req, res) => {
       return res.status(500).json({ error: 'Impossible de déterminer le demi-jour cible.' });
     }
 
-    const [result] = await pool.query(
-      `INSERT INTO activities (half_day_id, specific_objective, description, duration_minutes, format, materials)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [halfDay.id, objective, description, durationMinutes, normalizedFormat, sanitizedMaterials]
-    );
+    if (isHolidayHalfDay(halfDay)) {
+      return res.status(409).json({ error: 'Impossible d’ajouter une activité sur une demi-journée marquée comme congé.' });
+    }
+
+    let activityId;
+    let copiedAttachmentNames = [];
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const capacityError = await getStrictCapacityError(connection, course, halfDay.id, durationMinutes);
+      if (capacityError) {
+        await connection.rollback();
+        return res.status(409).json({ error: capacityError });
+      }
+
+      const [result] = await connection.query(
+        `INSERT INTO activities (half_day_id, specific_objective, description, duration_minutes, format, materials)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [halfDay.id, objective, description, durationMinutes, normalizedFormat, sanitizedMaterials]
+      );
+      activityId = result.insertId;
+      await setActivityCompetencies(connection, activityId, selectedCompetencyIds);
+      await setActivityEquipment(connection, activityId, selectedEquipment);
+      if (sourceId !== null) {
+        copiedAttachmentNames = await copyActivityAttachments(connection, [{ sourceId, targetId: activityId }], req.user.id);
+      }
+      await recordHistory(connection, {
+        courseId: selectedCourseId,
+        teacherId: req.user.id,
+        entityType: 'activity',
+        entityId: activityId,
+        action: 'create',
+        summary: `Activité « ${objective} » ajoutée en semaine ${weekNumber}`,
+        before: null,
+        after: await getActivitySnapshot(connection, activityId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      await removeAttachmentFiles(copiedAttachmentNames);
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     res.status(201).json({
-      activityId: result.insertId,
+      activityId,
       halfDayId: halfDay.id,
       sessionDate: halfDay.sessionDate,
-      period: halfDay.period
+      period: halfDay.period,
+      capacity: await getHalfDayCapacity(pool, halfDay.id),
+      equipmentWarnings: await getEquipmentWarnings(pool, activityId)
     });
   } catch (error) {
     console.error('Erreur lors de la sauvegarde de l’activité :', error.message);
@@ -965,18 +7155,20 @@ app.post('/api/activities', requireAuth, async (req, res) => {
 app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
   try {
     const activityId = Number(req.params.activityId);
-    const { name, week, slot, format, details, duration, materials, courseId } = req.body;
+    const { name, week, slot, format, details, duration, materials, courseId, competencyIds, equipment } = req.body;
 
     if (!Number.isInteger(activityId) || activityId <= 0) {
       return res.status(400).json({ error: "Identifiant d'activité invalide." });
     }
 
     const [existingActivities] = await pool.query(
-      `SELECT a.id, a.half_day_id AS halfDayId, h.course_id AS courseId
+      `SELECT a.id, a.half_day_id AS halfDayId, a.duration_minutes AS duration, h.course_id AS courseId, c.week_count AS weekCount,
+              c.slots_per_week AS slotsPerWeek, c.strict_capacity AS strictCapacity, c.module_number AS moduleNumber, m.role
        FROM activities a
        INNER JOIN half_days h ON a.half_day_id = h.id
        INNER JOIN courses c ON h.course_id = c.id
-       WHERE a.id = ? AND c.teacher_id = ?
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE a.id = ? AND m.teacher_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
        LIMIT 1`,
       [activityId, req.user.id]
     );
@@ -985,6 +7177,10 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Activité introuvable.' });
     }
 
+    if (!hasCourseRole(existingActivities[0].role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
     const existingActivity = existingActivities[0];
 
     if (courseId && Number(courseId) !== existingActivity.courseId) {
@@ -996,17 +7192,17 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
     }
 
     const weekNumber = Number(week);
-    if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > 5) {
-      return res.status(400).json({ error: 'La semaine doit être comprise entre 1 et 5.' });
+    if (!isValidWeekNumber(existingActivity, weekNumber)) {
+      return res.status(400).json({ error: `La semaine doit être comprise entre 1 et ${existingActivity.weekCount}.` });
     }
 
     const slotIndex = Number(slot);
-    if (!Number.isInteger(slotIndex) || slotIndex < 0 || slotIndex > 2) {
+    if (!isValidSlotIndex(existingActivity, slotIndex)) {
       return res.status(400).json({ error: 'Le créneau est invalide.' });
     }
 
     const normalizedFormat = typeof format === 'string' ? format : '';
-    if (!supportedFormats.has(normalizedFormat)) {
+    if (!activityFormats.has(normalizedFormat)) {
       return res.status(400).json({ error: 'Le format indiqué est invalide.' });
     }
 
@@ -1015,6 +7211,24 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'La durée (en minutes) doit être un nombre positif.' });
     }
 
+    const selectedCompetencyIds = competencyIds === undefined ? null : normalizeCompetencyIds(competencyIds);
+    if (competencyIds !== undefined && !selectedCompetencyIds) {
+      return res.status(400).json({ error: 'La liste des compétences est invalide.' });
+    }
+
+    if (selectedCompetencyIds && !(await hasModuleCompetencies(existingActivity.moduleNumber, selectedCompetencyIds))) {
+      return res.status(400).json({ error: 'Certaines compétences ne font pas partie du catalogue du module.' });
+    }
+
+    const selectedEquipment = equipment === undefined ? null : normalizeEquipmentBookings(equipment);
+    if (equipment !== undefined && !selectedEquipment) {
+      return res.status(400).json({ error: "La liste de l'équipement réservé est invalide." });
+    }
+
+    if (selectedEquipment && !(await hasEquipmentItems(selectedEquipment))) {
+      return res.status(400).json({ error: "Certains équipements ne font pas partie de l'inventaire." });
+    }
+
     const objective = name.trim();
     const description = (details || '').trim() || 'Description à compléter';
     const sanitizedMaterials = materials && typeof materials === 'string' ? materials.trim() : null;
@@ -1024,10 +7238,29 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
       return res.status(500).json({ error: "Impossible de déterminer le demi-jour cible." });
     }
 
+    if (targetHalfDay.id !== existingActivity.halfDayId && isHolidayHalfDay(targetHalfDay)) {
+      return res.status(409).json({ error: 'Impossible de déplacer une activité sur une demi-journée marquée comme congé.' });
+    }
+
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
+      const capacityError = await getStrictCapacityError(
+        connection,
+        existingActivity,
+        targetHalfDay.id,
+        durationMinutes,
+        activityId,
+        targetHalfDay.id === existingActivity.halfDayId ? existingActivity.duration : 0
+      );
+      if (capacityError) {
+        await connection.rollback();
+        return res.status(409).json({ error: capacityError });
+      }
+
+      const before = await getActivitySnapshot(connection, activityId);
+
       let positionClause = '';
       const queryParams = [
         targetHalfDay.id,
@@ -1040,7 +7273,7 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
 
       if (targetHalfDay.id !== existingActivity.halfDayId) {
         const [positions] = await connection.query(
-          'SELECT COALESCE(MAX(position), 0) AS maxPosition FROM activities WHERE half_day_id = ?',
+          'SELECT COALESCE(MAX(position), 0) AS maxPosition FROM activities WHERE half_day_id = ? AND deleted_at IS NULL',
           [targetHalfDay.id]
         );
 
@@ -1058,6 +7291,25 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
         queryParams
       );
 
+      if (selectedCompetencyIds) {
+        await setActivityCompetencies(connection, activityId, selectedCompetencyIds);
+      }
+
+      if (selectedEquipment) {
+        await setActivityEquipment(connection, activityId, selectedEquipment);
+      }
+
+      await recordHistory(connection, {
+        courseId: existingActivity.courseId,
+        teacherId: req.user.id,
+        entityType: 'activity',
+        entityId: activityId,
+        action: 'update',
+        summary: `Activité « ${objective} » modifiée`,
+        before,
+        after: await getActivitySnapshot(connection, activityId)
+      });
+
       await connection.commit();
     } catch (error) {
       await connection.rollback();
@@ -1066,7 +7318,12 @@ app.patch('/api/activities/:activityId', requireAuth, async (req, res) => {
       connection.release();
     }
 
-    res.json({ success: true, halfDayId: targetHalfDay.id });
+    res.json({
+      success: true,
+      halfDayId: targetHalfDay.id,
+      capacity: await getHalfDayCapacity(pool, targetHalfDay.id),
+      equipmentWarnings: await getEquipmentWarnings(pool, activityId)
+    });
   } catch (error) {
     console.error("Erreur lors de la mise à jour de l'activité :", error.message);
     res.status(500).json({ error: "Impossible de mettre à jour l'activité pour le moment." });
@@ -1082,11 +7339,12 @@ app.delete('/api/activities/:activityId', requireAuth, async (req, res) => {
     }
 
     const [existingActivities] = await pool.query(
-      `SELECT a.id
+      `SELECT a.id, m.role
        FROM activities a
        INNER JOIN half_days h ON a.half_day_id = h.id
        INNER JOIN courses c ON h.course_id = c.id
-       WHERE a.id = ? AND c.teacher_id = ?
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE a.id = ? AND m.teacher_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
        LIMIT 1`,
       [activityId, req.user.id]
     );
@@ -1095,15 +7353,198 @@ app.delete('/api/activities/:activityId', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Activité introuvable.' });
     }
 
-    await pool.query('DELETE FROM activities WHERE id = ?', [activityId]);
+    if (!hasCourseRole(existingActivities[0].role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
 
-    res.json({ success: true });
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const before = await getActivitySnapshot(connection, activityId);
+      await softDeleteActivity(connection, activityId, req.user.id);
+      await recordHistory(connection, {
+        courseId: before.courseId,
+        teacherId: req.user.id,
+        entityType: 'activity',
+        entityId: activityId,
+        action: 'delete',
+        summary: `Activité « ${before.name} » supprimée`,
+        before,
+        after: null
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ success: true, retentionDays: trashRetentionDays });
   } catch (error) {
     console.error("Erreur lors de la suppression de l'activité :", error.message);
     res.status(500).json({ error: "Impossible de supprimer l'activité pour le moment." });
   }
 });
 
+const attachmentBodyParser = express.raw({ type: () => true, limit: attachmentConfig.maxBytes });
+
+function readAttachmentBody(req, res, next) {
+  attachmentBodyParser(req, res, (error) => {
+    if (error?.type === 'entity.too.large') {
+      return res
+        .status(413)
+        .json({ error: `Le fichier dépasse la taille maximale de ${formatFileSize(attachmentConfig.maxBytes)}.` });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: 'Le fichier envoyé est illisible.' });
+    }
+
+    next();
+  });
+}
+
+app.post('/api/activities/:activityId/attachments', requireAuth, readAttachmentBody, async (req, res) => {
+  try {
+    const activityId = Number(req.params.activityId);
+
+    if (!Number.isInteger(activityId) || activityId <= 0) {
+      return res.status(400).json({ error: "Identifiant d'activité invalide." });
+    }
+
+    const [existingActivities] = await pool.query(
+      `SELECT a.id, m.role
+       FROM activities a
+       INNER JOIN half_days h ON a.half_day_id = h.id
+       INNER JOIN courses c ON h.course_id = c.id
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE a.id = ? AND m.teacher_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
+       LIMIT 1`,
+      [activityId, req.user.id]
+    );
+
+    if (existingActivities.length === 0) {
+      return res.status(404).json({ error: 'Activité introuvable.' });
+    }
+
+    if (!hasCourseRole(existingActivities[0].role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    const content = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const upload = {
+      name: normalizeAttachmentName(req.get('X-File-Name')),
+      mimeType: (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase(),
+      size: content.length
+    };
+    const uploadError = validateAttachmentUpload(upload);
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError });
+    }
+
+    let storedAttachment = null;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('SELECT id FROM activities WHERE id = ? FOR UPDATE', [activityId]);
+      const [attachmentCounts] = await connection.query(
+        'SELECT COUNT(*) AS total FROM activity_attachments WHERE activity_id = ?',
+        [activityId]
+      );
+      if (Number(attachmentCounts[0].total) >= attachmentConfig.maxFilesPerActivity) {
+        await connection.rollback();
+        return res
+          .status(409)
+          .json({ error: `Une activité ne peut pas compter plus de ${attachmentConfig.maxFilesPerActivity} pièces jointes.` });
+      }
+
+      storedAttachment = await storeActivityAttachment(connection, activityId, upload, req.user.id, (targetPath) =>
+        fs.promises.writeFile(targetPath, content)
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (storedAttachment) {
+        await removeAttachmentFiles([storedAttachment.storedName]);
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const { storedName, ...attachment } = storedAttachment;
+    res.status(201).json(attachment);
+  } catch (error) {
+    console.error("Erreur lors de l'ajout de la pièce jointe :", error.message);
+    res.status(500).json({ error: "Impossible d'enregistrer la pièce jointe pour le moment." });
+  }
+});
+
+app.get('/api/attachments/:attachmentId', requireAuth, async (req, res) => {
+  try {
+    const attachmentId = Number(req.params.attachmentId);
+
+    if (!Number.isInteger(attachmentId) || attachmentId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de pièce jointe invalide.' });
+    }
+
+    const attachment = await getAttachmentForTeacher(attachmentId, req.user.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Pièce jointe introuvable.' });
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.download(
+      getAttachmentPath(attachment.storedName),
+      attachment.name,
+      { headers: { 'Content-Type': attachment.mimeType } },
+      (error) => {
+        if (!error) return;
+
+        console.error('Erreur lors du téléchargement de la pièce jointe :', error.message);
+        if (!res.headersSent) {
+          res.status(404).json({ error: 'Le fichier de cette pièce jointe est introuvable.' });
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Erreur lors du téléchargement de la pièce jointe :', error.message);
+    res.status(500).json({ error: 'Impossible de télécharger la pièce jointe pour le moment.' });
+  }
+});
+
+app.delete('/api/attachments/:attachmentId', requireAuth, async (req, res) => {
+  try {
+    const attachmentId = Number(req.params.attachmentId);
+
+    if (!Number.isInteger(attachmentId) || attachmentId <= 0) {
+      return res.status(400).json({ error: 'Identifiant de pièce jointe invalide.' });
+    }
+
+    const attachment = await getAttachmentForTeacher(attachmentId, req.user.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Pièce jointe introuvable.' });
+    }
+
+    if (!hasCourseRole(attachment.role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
+    await pool.query('DELETE FROM activity_attachments WHERE id = ?', [attachmentId]);
+    await fs.promises.rm(getAttachmentPath(attachment.storedName), { force: true });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la pièce jointe :', error.message);
+    res.status(500).json({ error: 'Impossible de supprimer la pièce jointe pour le moment.' });
+  }
+});
+
 app.patch('/api/activities/:activityId/move', requireAuth, async (req, res) => {
   try {
     const activityId = Number(req.params.activityId);
@@ -1114,11 +7555,13 @@ app.patch('/api/activities/:activityId/move', requireAuth, async (req, res) => {
     }
 
     const [existingActivities] = await pool.query(
-      `SELECT a.id, a.half_day_id AS halfDayId, h.course_id AS courseId
+      `SELECT a.id, a.half_day_id AS halfDayId, a.duration_minutes AS duration, h.course_id AS courseId, c.week_count AS weekCount,
+              c.slots_per_week AS slotsPerWeek, c.strict_capacity AS strictCapacity, m.role
        FROM activities a
        INNER JOIN half_days h ON a.half_day_id = h.id
        INNER JOIN courses c ON h.course_id = c.id
-       WHERE a.id = ? AND c.teacher_id = ?
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE a.id = ? AND m.teacher_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
        LIMIT 1`,
       [activityId, req.user.id]
     );
@@ -1127,6 +7570,10 @@ app.patch('/api/activities/:activityId/move', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Activité introuvable.' });
     }
 
+    if (!hasCourseRole(existingActivities[0].role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
     const existingActivity = existingActivities[0];
     const activityCourseId = existingActivity.courseId;
 
@@ -1135,12 +7582,12 @@ app.patch('/api/activities/:activityId/move', requireAuth, async (req, res) => {
     }
 
     const weekNumber = Number(week);
-    if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > 5) {
-      return res.status(400).json({ error: 'La semaine doit être comprise entre 1 et 5.' });
+    if (!isValidWeekNumber(existingActivity, weekNumber)) {
+      return res.status(400).json({ error: `La semaine doit être comprise entre 1 et ${existingActivity.weekCount}.` });
     }
 
     const slotIndex = Number(slot);
-    if (!Number.isInteger(slotIndex) || slotIndex < 0 || slotIndex > 2) {
+    if (!isValidSlotIndex(existingActivity, slotIndex)) {
       return res.status(400).json({ error: 'Le créneau est invalide.' });
     }
 
@@ -1157,10 +7604,25 @@ app.patch('/api/activities/:activityId/move', requireAuth, async (req, res) => {
       return res.status(500).json({ error: "Impossible de déterminer le nouveau demi-jour." });
     }
 
+    if (halfDay.id !== existingActivity.halfDayId && isHolidayHalfDay(halfDay)) {
+      return res.status(409).json({ error: 'Impossible de déplacer une activité sur une demi-journée marquée comme congé.' });
+    }
+
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
+      const capacityError =
+        halfDay.id === existingActivity.halfDayId
+          ? null
+          : await getStrictCapacityError(connection, existingActivity, halfDay.id, existingActivity.duration, activityId);
+      if (capacityError) {
+        await connection.rollback();
+        return res.status(409).json({ error: capacityError });
+      }
+
+      const before = await getActivitySnapshot(connection, activityId);
+
       const targetActivityIds = await getOrderedActivityIds(connection, halfDay.id);
 
       if (halfDay.id === existingActivity.halfDayId) {
@@ -1188,9 +7650,26 @@ app.patch('/api/activities/:activityId/move', requireAuth, async (req, res) => {
         await resequenceHalfDayPositions(connection, existingActivity.halfDayId);
       }
 
+      await recordHistory(connection, {
+        courseId: activityCourseId,
+        teacherId: req.user.id,
+        entityType: 'activity',
+        entityId: activityId,
+        action: 'move',
+        summary: `Activité « ${before.name} » déplacée en semaine ${weekNumber}`,
+        before,
+        after: await getActivitySnapshot(connection, activityId)
+      });
+
       await connection.commit();
 
-      res.json({ success: true, halfDayId: halfDay.id, position: sanitizedPosition + 1 });
+      res.json({
+        success: true,
+        halfDayId: halfDay.id,
+        position: sanitizedPosition + 1,
+        capacity: await getHalfDayCapacity(pool, halfDay.id),
+        equipmentWarnings: await getEquipmentWarnings(pool, activityId)
+      });
     } catch (error) {
       await connection.rollback();
       console.error("Erreur lors du déplacement de l'activité :", error.message);
@@ -1214,11 +7693,12 @@ app.patch('/api/activities/:activityId/timing', requireAuth, async (req, res) =>
     }
 
     const [activities] = await pool.query(
-      `SELECT a.id, a.half_day_id AS halfDayId, h.course_id AS courseId
+      `SELECT a.id, a.half_day_id AS halfDayId, h.course_id AS courseId, m.role
        FROM activities a
        INNER JOIN half_days h ON a.half_day_id = h.id
        INNER JOIN courses c ON h.course_id = c.id
-       WHERE a.id = ? AND c.teacher_id = ?
+       INNER JOIN course_members m ON m.course_id = c.id
+       WHERE a.id = ? AND m.teacher_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
        LIMIT 1`,
       [activityId, req.user.id]
     );
@@ -1227,6 +7707,10 @@ app.patch('/api/activities/:activityId/timing', requireAuth, async (req, res) =>
       return res.status(404).json({ error: 'Activité introuvable.' });
     }
 
+    if (!hasCourseRole(activities[0].role, 'editor')) {
+      return res.status(403).json({ error: courseRoleErrors.editor });
+    }
+
     const updates = [];
     const params = [];
 
@@ -1263,8 +7747,30 @@ app.patch('/api/activities/:activityId/timing', requireAuth, async (req, res) =>
     }
 
     params.push(activityId);
-    const updateQuery = `UPDATE activities SET ${updates.join(', ')} WHERE id = ?`;
-    await pool.query(updateQuery, params);
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const before = await getActivitySnapshot(connection, activityId);
+      await connection.query(`UPDATE activities SET ${updates.join(', ')} WHERE id = ?`, params);
+      await recordHistory(connection, {
+        courseId: before.courseId,
+        teacherId: req.user.id,
+        entityType: 'activity',
+        entityId: activityId,
+        action: 'timing',
+        summary: `Heures réelles de « ${before.name} » modifiées`,
+        before,
+        after: await getActivitySnapshot(connection, activityId)
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     const [updatedRows] = await pool.query(
       `SELECT actual_start_time AS actualStartTime, actual_end_time AS actualEndTime
@@ -1297,9 +7803,18 @@ async function bootstrap() {
     pool = createPool();
 
     await ensureSchema();
+    await refreshActivityFormats();
     const defaultTeacherId = await ensureDefaultTeacher();
+    await ensureAdminAccount();
     await pool.query('UPDATE courses SET teacher_id = ? WHERE teacher_id IS NULL', [defaultTeacherId]);
+    await ensureCourseOwners();
     await ensureDefaultCourse(defaultTeacherId);
+    await purgeExpiredTrash();
+    setInterval(() => {
+      purgeExpiredTrash().catch((error) => {
+        console.error('Erreur lors de la purge de la corbeille :', error.message);
+      });
+    }, trashPurgeIntervalMs);
 
     app.listen(PORT, () => {
       console.log(`App running at http://localhost:${PORT}`);
@@ -6,22 +6,93 @@ CREATE TABLE IF NOT EXISTS teachers (
     email VARCHAR(255) NOT NULL UNIQUE,
     display_name VARCHAR(255) NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    calendar_token_hash CHAR(64) NULL UNIQUE,
+    is_admin TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    token_version INT UNSIGNED NOT NULL DEFAULT 0,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS rooms (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    is_virtual TINYINT(1) NOT NULL DEFAULT 0,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_rooms_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE IF NOT EXISTS courses (
     id INT AUTO_INCREMENT PRIMARY KEY,
     teacher_id INT NULL,
     teacher VARCHAR(255) NOT NULL,
     class VARCHAR(100) NOT NULL,
     room VARCHAR(100) NOT NULL,
+    room_id INT NULL,
     module_number VARCHAR(50) NOT NULL,
     module_name VARCHAR(255) NOT NULL,
+    general_objective TEXT NULL,
+    particularites TEXT NULL,
     start_date DATE NOT NULL,
     start_period ENUM('matin', 'apres_midi') NOT NULL,
+    week_count TINYINT UNSIGNED NOT NULL DEFAULT 5,
+    slots_per_week TINYINT UNSIGNED NOT NULL DEFAULT 3,
+    weekly_pattern TEXT NULL,
+    period_limits TEXT NULL,
+    period_breaks TEXT NULL,
+    strict_capacity TINYINT(1) NOT NULL DEFAULT 0,
+    deleted_at DATETIME NULL,
+    deleted_by INT NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_courses_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL,
-    INDEX idx_courses_teacher (teacher_id)
+    CONSTRAINT fk_courses_room FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL,
+    INDEX idx_courses_teacher (teacher_id),
+    FULLTEXT INDEX ft_courses_search (module_name, module_number, general_objective, particularites)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS course_members (
+    course_id INT NOT NULL,
+    teacher_id INT NOT NULL,
+    role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'viewer',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (course_id, teacher_id),
+    CONSTRAINT fk_course_members_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    CONSTRAINT fk_course_members_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE,
+    INDEX idx_course_members_teacher (teacher_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS course_share_links (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    show_materials TINYINT(1) NOT NULL DEFAULT 0,
+    show_timings TINYINT(1) NOT NULL DEFAULT 0,
+    expires_at DATETIME NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_course_share_links_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    CONSTRAINT fk_course_share_links_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS course_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    teacher_id INT NULL,
+    entity_type ENUM('course', 'half_day', 'activity') NOT NULL,
+    entity_id INT NULL,
+    action ENUM('create', 'update', 'move', 'timing', 'delete', 'restore', 'undo') NOT NULL,
+    summary VARCHAR(255) NOT NULL,
+    before_state LONGTEXT NULL,
+    after_state LONGTEXT NULL,
+    undo_of INT NULL,
+    undone_at DATETIME NULL,
+    undone_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_course_history_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    CONSTRAINT fk_course_history_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE SET NULL,
+    CONSTRAINT fk_course_history_undone_by FOREIGN KEY (undone_by) REFERENCES teachers(id) ON DELETE SET NULL,
+    INDEX idx_course_history_course (course_id, created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS half_days (
@@ -31,22 +102,129 @@ CREATE TABLE IF NOT EXISTS half_days (
     slot_index TINYINT UNSIGNED NOT NULL,
     session_date DATE NOT NULL,
     period ENUM('matin', 'apres_midi') NOT NULL,
+    status ENUM('normal', 'holiday', 'cancelled', 'remote') NOT NULL DEFAULT 'normal',
+    status_reason VARCHAR(255) NULL,
     notes TEXT NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_half_days_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
-    CONSTRAINT uq_half_days UNIQUE (course_id, week_number, slot_index)
+    CONSTRAINT uq_half_days UNIQUE (course_id, week_number, slot_index),
+    FULLTEXT INDEX ft_half_days_notes (notes)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS activity_formats (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL UNIQUE,
+    color CHAR(7) NOT NULL,
+    icon VARCHAR(32) NOT NULL,
+    is_evaluation TINYINT(1) NOT NULL DEFAULT 0,
+    is_default TINYINT(1) NOT NULL DEFAULT 0,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_activity_formats_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO activity_formats (code, label, color, icon, is_evaluation, is_default) VALUES
+    ('presentation', 'Présentation', '#7c3aed', 'presentation', 0, 1),
+    ('exercice', 'Exercice', '#22d3ee', 'exercice', 0, 1),
+    ('travail_de_groupe', 'Travail de groupe', '#34d399', 'travail_de_groupe', 0, 1),
+    ('jeu', 'Jeu', '#f59e0b', 'jeu', 0, 1),
+    ('recherche_information', 'Recherche d''information', '#60a5fa', 'recherche_information', 0, 1),
+    ('synthese', 'Synthèse', '#f472b6', 'synthese', 0, 1),
+    ('evaluation', 'Évaluation', '#ef4444', 'evaluation', 1, 1);
+
 CREATE TABLE IF NOT EXISTS activities (
     id INT AUTO_INCREMENT PRIMARY KEY,
     half_day_id INT NOT NULL,
     specific_objective TEXT NOT NULL,
     description TEXT NOT NULL,
     duration_minutes SMALLINT UNSIGNED NOT NULL,
-    format ENUM('presentation', 'exercice', 'travail_de_groupe', 'jeu', 'recherche_information', 'synthese', 'evaluation') NOT NULL,
+    format VARCHAR(50) NOT NULL,
     materials TEXT NULL,
     position SMALLINT UNSIGNED NULL,
+    deleted_at DATETIME NULL,
+    deleted_by INT NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_activities_half_day FOREIGN KEY (half_day_id) REFERENCES half_days(id) ON DELETE CASCADE,
-    INDEX idx_activities_half_day (half_day_id)
+    INDEX idx_activities_half_day (half_day_id),
+    FULLTEXT INDEX ft_activities_search (specific_objective, description, materials)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS module_competencies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    module_number VARCHAR(50) NOT NULL,
+    code VARCHAR(32) NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    kind ENUM('competence', 'objectif') NOT NULL DEFAULT 'competence',
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_module_competencies UNIQUE (module_number, code),
+    CONSTRAINT fk_module_competencies_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS activity_competencies (
+    activity_id INT NOT NULL,
+    competency_id INT NOT NULL,
+    PRIMARY KEY (activity_id, competency_id),
+    CONSTRAINT fk_activity_competencies_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    CONSTRAINT fk_activity_competencies_competency FOREIGN KEY (competency_id) REFERENCES module_competencies(id) ON DELETE CASCADE,
+    INDEX idx_activity_competencies_competency (competency_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS equipment_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    quantity SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_equipment_items_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS activity_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    activity_id INT NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    stored_name CHAR(32) NOT NULL UNIQUE,
+    mime_type VARCHAR(150) NOT NULL,
+    size_bytes INT UNSIGNED NOT NULL,
+    uploaded_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_activity_attachments_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    CONSTRAINT fk_activity_attachments_teacher FOREIGN KEY (uploaded_by) REFERENCES teachers(id) ON DELETE SET NULL,
+    INDEX idx_activity_attachments_activity (activity_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS activity_equipment (
+    activity_id INT NOT NULL,
+    equipment_id INT NOT NULL,
+    quantity SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+    PRIMARY KEY (activity_id, equipment_id),
+    CONSTRAINT fk_activity_equipment_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    CONSTRAINT fk_activity_equipment_item FOREIGN KEY (equipment_id) REFERENCES equipment_items(id) ON DELETE CASCADE,
+    INDEX idx_activity_equipment_item (equipment_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS closure_periods (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    teacher_id INT NULL,
+    created_by INT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    source ENUM('ics', 'csv') NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_closure_periods_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE,
+    CONSTRAINT fk_closure_periods_creator FOREIGN KEY (created_by) REFERENCES teachers(id) ON DELETE SET NULL,
+    INDEX idx_closure_periods_dates (start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    teacher_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_password_reset_tokens_teacher FOREIGN KEY (teacher_id) REFERENCES teachers(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;